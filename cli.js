@@ -14,10 +14,15 @@ COMMANDS
   start                Start the bridge (default)
   register             Register with PeerTube and print runner token
   unregister           Unregister from PeerTube
-  status               Check PeerTube connectivity
+  status               Check PeerTube connectivity and local bridge state
+  workers              List known workers and their segment statistics
+  worker               Run supernovao workers on the pools bridges hand out
 
 OPTIONS
   -c, --config <path>  Config file path (default: ./config.json)
+  -i, --instance <name>
+                       PeerTube instance to register / unregister (required
+                       when config lists several under "instances")
   -v, --version        Print version
   -h, --help           Print this help
 `
@@ -25,6 +30,7 @@ OPTIONS
 const { values, positionals } = parseArgs({
   options: {
     config: { type: 'string', short: 'c', default: './config.json' },
+    instance: { type: 'string', short: 'i' },
     version: { type: 'boolean', short: 'v', default: false },
     help: { type: 'boolean', short: 'h', default: false }
   },
@@ -54,8 +60,13 @@ function loadConfig(configPath) {
 
 const command = positionals[0] || 'start'
 
+const { instanceConfigs, instanceConfig } = require('./lib/instances')
+
 async function main() {
-  const config = loadConfig(values.config)
+  // A worker machine only needs the presence topic, so its config is optional
+  const config = command === 'worker' && !fs.existsSync(path.resolve(values.config))
+    ? {}
+    : loadConfig(values.config)
 
   switch (command) {
     case 'start': {
@@ -67,13 +78,15 @@ async function main() {
 
     case 'register': {
       const RunnerClient = require('./lib/runner-client')
-      const client = new RunnerClient(config.peertube)
+      const { name, peertube } = instanceConfig(config, values.instance)
+      const client = new RunnerClient(peertube)
       const data = await client.register()
+      console.log('Instance: %s (%s)', name, peertube.url)
       console.log('Runner token: %s', data.runnerToken)
       console.log('Runner ID: %s', data.id)
 
       // Write token back to config
-      config.peertube.runnerToken = data.runnerToken
+      peertube.runnerToken = data.runnerToken
       const configPath = path.resolve(values.config)
       fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n')
       console.log('Token saved to %s', configPath)
@@ -82,33 +95,105 @@ async function main() {
 
     case 'unregister': {
       const RunnerClient = require('./lib/runner-client')
-      const client = new RunnerClient(config.peertube)
-      if (!config.peertube.runnerToken) {
-        console.error('No runner token in config — register first')
+      const { name, peertube } = instanceConfig(config, values.instance)
+      const client = new RunnerClient(peertube)
+      if (!peertube.runnerToken) {
+        console.error('No runner token for instance %s — register first', name)
         process.exit(1)
       }
-      client.runnerToken = config.peertube.runnerToken
+      client.runnerToken = peertube.runnerToken
       await client.unregister()
-      console.log('Unregistered from PeerTube')
+      console.log('Unregistered from PeerTube instance %s', name)
       break
     }
 
     case 'status': {
-      try {
-        const url = config.peertube.url + '/api/v1/config'
-        const res = await fetch(url)
-        if (!res.ok) {
-          console.log('PeerTube returned %d', res.status)
-          process.exit(1)
+      let reachable = true
+      for (const { name, peertube } of instanceConfigs(config)) {
+        try {
+          const url = peertube.url + '/api/v1/config'
+          const res = await fetch(url)
+          if (!res.ok) {
+            console.log('PeerTube %s returned %d', name, res.status)
+            reachable = false
+            continue
+          }
+          const data = await res.json()
+          console.log('PeerTube %s: %s', name, peertube.url)
+          console.log('  Version: %s', data.serverVersion || 'unknown')
+          console.log('  Runner registered: %s', peertube.runnerToken ? 'yes' : 'no')
+        } catch (err) {
+          console.error('Cannot reach PeerTube %s at %s: %s', name, peertube.url, err.message)
+          reachable = false
         }
-        const data = await res.json()
-        console.log('PeerTube: %s', config.peertube.url)
-        console.log('Version: %s', data.serverVersion || 'unknown')
-        console.log('Runner registered: %s', config.peertube.runnerToken ? 'yes' : 'no')
-      } catch (err) {
-        console.error('Cannot reach PeerTube at %s: %s', config.peertube.url, err.message)
-        process.exit(1)
       }
+      if (!reachable) process.exit(1)
+
+      // Local bridge state, when the status API is enabled
+      if (config.api && config.api.enabled) {
+        const apiUrl = `http://${config.api.host || '127.0.0.1'}:${config.api.port || 9380}/status`
+        try {
+          const res = await fetch(apiUrl)
+          const status = await res.json()
+          const state = status.draining ? 'draining' : status.paused ? 'paused' : 'running'
+          console.log('Bridge: %s, PeerTube %s, %d/%d jobs', state,
+            status.health.healthy ? 'healthy' : 'unhealthy',
+            status.jobs.length, status.maxConcurrentJobs)
+          for (const job of status.jobs) {
+            console.log('  %s  %s  %s  %s %d%%  %ds', job.jobUUID, job.instance, job.type, job.stage,
+              job.percent, Math.round(job.elapsedMs / 1000))
+          }
+        } catch (err) {
+          console.log('Bridge: not running (%s)', err.message)
+        }
+      }
+      break
+    }
+
+    case 'workers': {
+      // Live view from the status API when the bridge runs, else the registry on disk
+      let workers = null
+      if (config.api && config.api.enabled) {
+        const apiUrl = `http://${config.api.host || '127.0.0.1'}:${config.api.port || 9380}/workers`
+        try {
+          workers = await (await fetch(apiUrl)).json()
+        } catch (err) {
+          console.log('Bridge not running (%s), reading registry', err.message)
+        }
+      }
+      if (!workers) {
+        const WorkerRegistry = require('./lib/worker-registry')
+        const { storageOptions } = require('./lib/storage')
+        const registry = new WorkerRegistry(storageOptions(config.supernovao).path)
+        await registry.load()
+        workers = registry.list()
+      }
+
+      if (!workers.length) {
+        console.log('No workers seen yet')
+        break
+      }
+      // supernovao's Pool doesn't say which worker encoded which segment
+      console.log('Segment counts and times per segment are estimates, split between the workers')
+      console.log('connected while segments completed. Segments assigned, completed or failed per')
+      console.log('worker are not tracked: the pool does not report them.\n')
+      for (const w of workers) {
+        const state = w.online === undefined ? '' : w.online ? '  online' : '  offline'
+        console.log('%s%s  jobs %d  connected %s  est. segments ~%s  est. avg %s  last seen %s',
+          w.publicKey, state, w.jobs, `${Math.round(w.connectedMs / 60000)}min`, w.segments,
+          w.msPerSegment === null ? '-' : `${(w.msPerSegment / 1000).toFixed(1)}s/segment`,
+          new Date(w.lastSeen).toISOString())
+      }
+      break
+    }
+
+    case 'worker': {
+      const WorkerAgent = require('./lib/worker-agent')
+      const agent = new WorkerAgent((config.supernovao || {}).workers, config.worker)
+      await agent.start()
+      const stop = () => agent.stop().then(() => process.exit(0))
+      process.once('SIGINT', stop)
+      process.once('SIGTERM', stop)
       break
     }
 
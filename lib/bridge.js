@@ -6,59 +6,129 @@ const logger = require('pino')({ name: 'bridge' })
 
 const RunnerClient = require('./runner-client')
 const createSocketListener = require('./socket-listener')
-const { translateJob, downloadInput, isSupported } = require('./job-translator')
+const { translateJob, downloadInput, isSupported, getHandler } = require('./job-translator')
+const JobJournal = require('./journal')
 const PoolManager = require('./pool-manager')
-const { prepareResult, uploadResult, cleanupTemp } = require('./result-assembler')
+const LiveTranscoder = require('./live-transcoder')
+const { transcode } = require('./local-encoder')
+const { prepareResult, uploadResult, cleanupTemp, probeFile } = require('./result-assembler')
 const { JobWatchdog, HealthMonitor, gracefulShutdown } = require('./health')
+const StatusServer = require('./status-server')
+const JobProgress = require('./progress')
+const { isTransient, TransientError, PermanentError } = require('./errors')
+const { withRetry } = require('./retry')
+const { metrics, timeStage } = require('./metrics')
+const { instanceConfigs } = require('./instances')
+const { rankJobs } = require('./scheduler')
+const SharedDownloads = require('./shared-downloads')
+const { storageOptions } = require('./storage')
+
+// Jobs encoded on the bridge itself never need pool workers
+function usesPool(handler) {
+  return !handler.process && !handler.live
+}
 
 class Bridge {
   constructor(config) {
     this.config = config
-    this.runnerClient = new RunnerClient(config.peertube)
     this.poolManager = new PoolManager(config.supernovao)
     this.watchdog = new JobWatchdog(config.timeouts.jobTimeoutMs)
-    this.healthMonitor = new HealthMonitor(
-      this.runnerClient, this.poolManager,
-      {
-        checkIntervalMs: 30000,
-        maxConsecutiveFailures: 5,
-        jobTimeoutMs: config.timeouts.jobTimeoutMs
-      }
-    )
+
+    // One runner client, socket and health monitor per PeerTube instance;
+    // the pool and workers are shared
+    this.instances = new Map()
+    for (const { name, peertube } of instanceConfigs(config)) {
+      const runnerClient = new RunnerClient(peertube)
+      this.instances.set(name, {
+        name,
+        config: peertube,
+        runnerClient,
+        socket: null,
+        healthMonitor: new HealthMonitor(
+          runnerClient, this.poolManager,
+          {
+            checkIntervalMs: 30000,
+            maxConsecutiveFailures: 5,
+            jobTimeoutMs: config.timeouts.jobTimeoutMs
+          }
+        ),
+        maxConcurrentJobs: peertube.maxConcurrentJobs ?? Infinity
+      })
+    }
+    // Rotates which instance gets first pick of free slots on each poll
+    this.pollCursor = 0
+    // Running poll, and whether another was asked for meanwhile
+    this._polling = null
+    this._pollAgain = false
+    const storage = storageOptions(config.supernovao)
+    this.journal = new JobJournal(storage.path)
+    // Sibling jobs (other resolutions of the same video) share their inputs
+    this.downloads = new SharedDownloads(path.join(storage.path, 'downloads'), {
+      share: config.supernovao.shareSources !== false,
+      cache: this.poolManager.sourceCache
+    })
+    this.retry = config.retry || {}
+    this.workers = config.supernovao.workers || {}
     this.activeJobs = new Map()
-    this.failedJobs = new Set()
+    // processJob() runs, awaited by stop() so aborted jobs clean up
+    this.runs = new Set()
+    // jobUUID -> time after which the job may be accepted again
+    this.failedJobs = new Map()
+    // Unsupported job types already logged, so each is reported once
+    this.unsupportedTypes = new Set()
     this.isRunning = false
+    this.paused = false
+    this.draining = false
+    this.shuttingDown = false
     this.pollTimer = null
-    this.socket = null
+    this.statusServer = null
     this.log = logger.child({ component: 'bridge' })
   }
 
   async start() {
-    // 1. Require runner token from config — register separately via `node cli.js register`
-    if (!this.config.peertube.runnerToken) {
-      throw new Error('No runnerToken in config — run `node cli.js register` first')
+    // 1. Require runner tokens from config — register separately via `node cli.js register`
+    for (const instance of this.instances.values()) {
+      if (!instance.config.runnerToken) {
+        throw new Error(
+          `No runnerToken for instance ${instance.name} — run \`node cli.js register --instance ${instance.name}\` first`
+        )
+      }
+      instance.runnerClient.runnerToken = instance.config.runnerToken
     }
-    this.runnerClient.runnerToken = this.config.peertube.runnerToken
-    this.log.info('Using runner token from config')
+    this.log.info({ instances: [...this.instances.keys()] }, 'Using runner tokens from config')
 
     // 2. Start pool (drive + swarm) and log pool key
     await this.poolManager.start()
+    await this.downloads.start()
 
-    // 3. Connect Socket.IO for job notifications
-    this.socket = createSocketListener(
-      this.config.peertube.url,
-      this.runnerClient.runnerToken,
-      () => {
-        debug('Socket.IO notified of available jobs')
-        this.poll().catch(err => debug('poll error from socket trigger: %s', err.message))
-      }
-    )
+    // 2b. Reconcile jobs left behind by a previous run
+    await this.journal.load()
+    for (const [uuid, expiresAt] of this.journal.failed) this.failedJobs.set(uuid, expiresAt)
+    await this.recover()
 
-    // 3. Start health monitor
-    this.healthMonitor.start()
-    this.healthMonitor.on('unhealthy', ({ reason }) => {
-      this.log.error({ reason }, 'PeerTube unhealthy — pausing job acceptance')
-    })
+    for (const instance of this.instances.values()) {
+      // 3. Connect Socket.IO for job notifications
+      instance.socket = createSocketListener(
+        instance.config.url,
+        instance.runnerClient.runnerToken,
+        () => {
+          debug('Socket.IO notified of available jobs on %s', instance.name)
+          this.poll().catch(err => debug('poll error from socket trigger: %s', err.message))
+        }
+      )
+
+      // 3. Start health monitor
+      instance.healthMonitor.start()
+      instance.healthMonitor.on('unhealthy', ({ reason }) => {
+        this.log.error({ instance: instance.name, reason }, 'PeerTube unhealthy — pausing job acceptance')
+      })
+    }
+
+    // 3b. Local status / control API
+    if (this.config.api && this.config.api.enabled) {
+      this.statusServer = new StatusServer(this, this.config.api)
+      await this.statusServer.start()
+    }
 
     // 4. Start poll loop
     this.isRunning = true
@@ -66,23 +136,40 @@ class Bridge {
       this.poll().catch(err => debug('poll error: %s', err.message))
     }, this.config.polling.intervalMs)
 
-    // 5. Signal handlers
-    const shutdown = async () => {
-      this.log.info('Shutdown signal received')
-      await this.stop()
-      process.exit(0)
-    }
-    process.on('SIGINT', shutdown)
-    process.on('SIGTERM', shutdown)
+    // 5. Signal handlers: the first SIGTERM/SIGINT drains, a second one
+    //    aborts whatever is still running
+    process.on('SIGINT', () => this._onSignal('SIGINT'))
+    process.on('SIGTERM', () => this._onSignal('SIGTERM'))
 
     this.log.info('Bridge started — polling every %dms, max %d concurrent jobs',
       this.config.polling.intervalMs, this.config.polling.maxConcurrentJobs)
   }
 
+  /**
+   * Poll once. Polls don't overlap: the slot counts of one poll are only
+   * right once the previous poll's accepted jobs are registered, so a
+   * trigger arriving mid-poll runs another poll after it.
+   */
   async poll() {
+    if (this._polling) {
+      this._pollAgain = true
+      return this._polling
+    }
+    try {
+      do {
+        this._pollAgain = false
+        this._polling = this._poll()
+        await this._polling
+      } while (this._pollAgain)
+    } finally {
+      this._polling = null
+    }
+  }
+
+  async _poll() {
     if (!this.isRunning) return
-    if (!this.healthMonitor.isHealthy()) {
-      debug('skipping poll — health check failing')
+    if (this.paused || this.draining) {
+      debug('skipping poll — %s', this.draining ? 'draining' : 'paused')
       return
     }
     if (this.activeJobs.size >= this.config.polling.maxConcurrentJobs) {
@@ -91,112 +178,626 @@ class Bridge {
       return
     }
 
-    try {
-      const { availableJobs } = await this.runnerClient.requestJob()
+    // 1. Ask every healthy instance with room under its own cap, starting
+    //    from a different instance each poll
+    const instances = [...this.instances.values()]
+    const start = this.pollCursor++ % instances.length
+    const eligible = [...instances.slice(start), ...instances.slice(0, start)].filter(instance => {
+      if (!instance.healthMonitor.isHealthy()) {
+        debug('skipping %s — health check failing', instance.name)
+        return false
+      }
+      return this._instanceJobs(instance.name) < instance.maxConcurrentJobs
+    })
+
+    const offers = await Promise.all(eligible.map(async (instance) => {
+      try {
+        const { availableJobs } = await instance.runnerClient.requestJob()
+        return { instance, jobs: rankJobs(availableJobs, this.config.supernovao.scheduling) }
+      } catch (err) {
+        this.log.error({ instance: instance.name, err: err.message }, 'Poll error')
+        return { instance, jobs: [] }
+      }
+    }))
 
-      for (const job of availableJobs) {
+    // 2. Hand out free slots one job per instance per round, so one busy
+    //    instance can't starve the others
+    let accepted = true
+    while (accepted && this.activeJobs.size < this.config.polling.maxConcurrentJobs) {
+      accepted = false
+      for (const offer of offers) {
         if (this.activeJobs.size >= this.config.polling.maxConcurrentJobs) break
-        if (!isSupported(job.type)) {
-          debug('skipping unsupported job type: %s', job.type)
-          continue
-        }
-        if (this.failedJobs.has(job.uuid)) {
-          debug('skipping previously failed job: %s', job.uuid)
-          continue
+        if (this._instanceJobs(offer.instance.name) >= offer.instance.maxConcurrentJobs) continue
+        while (offer.jobs.length) {
+          const job = offer.jobs.shift()
+          if (this._canAccept(job) && await this._accept(offer.instance, job)) {
+            accepted = true
+            break
+          }
         }
+      }
+    }
+  }
 
-        await this.runnerClient.acceptJob(job.uuid)
-        this.log.info({ jobUUID: job.uuid, type: job.type }, 'Accepted job')
-
-        // Run concurrently — don't await
-        this.processJob(job.uuid, job.type, job.payload)
-          .catch(err => this.log.error({ jobUUID: job.uuid, err: err.message }, 'Job failed'))
+  _canAccept(job) {
+    if (!isSupported(job.type)) {
+      if (!this.unsupportedTypes.has(job.type)) {
+        this.unsupportedTypes.add(job.type)
+        this.log.info({ type: job.type }, 'Skipping jobs of unsupported type %s', job.type)
       }
+      return false
+    }
+    if (this._isSkipped(job.uuid)) {
+      debug('skipping previously failed job: %s', job.uuid)
+      return false
+    }
+    if (usesPool(getHandler(job.type)) && this._poolHeadroom() <= 0 && !this.workers.localFallback) {
+      debug('skipping %s — no worker capacity (%d slots online)',
+        job.uuid, this.poolManager.capacity())
+      return false
+    }
+    return true
+  }
+
+  async _accept(instance, job) {
+    try {
+      await instance.runnerClient.acceptJob(job.uuid)
     } catch (err) {
-      this.log.error({ err: err.message }, 'Poll error')
+      // Usually another runner got there first
+      this.log.warn({ instance: instance.name, jobUUID: job.uuid, err: err.message }, 'Could not accept job')
+      return false
     }
+    this.log.info({ instance: instance.name, jobUUID: job.uuid, type: job.type }, 'Accepted job')
+    metrics.jobsAccepted.inc({ type: job.type, instance: instance.name })
+    await this.journal.record(job.uuid, {
+      instance: instance.name,
+      type: job.type,
+      payload: job.payload,
+      jobToken: instance.runnerClient.jobTokens.get(job.uuid),
+      stage: 'accepted',
+      tempDirs: [],
+      acceptedAt: Date.now()
+    })
+
+    // Run concurrently — don't await
+    this._run(job.uuid, job.type, job.payload, instance.name)
+    return true
+  }
+
+  _run(jobUUID, jobType, payload, instanceName) {
+    const run = this.processJob(jobUUID, jobType, payload, instanceName)
+      .catch(err => this.log.error({ jobUUID, err: err.message }, 'Job failed'))
+      .finally(() => this.runs.delete(run))
+    this.runs.add(run)
+  }
+
+  _instanceJobs(name) {
+    let count = 0
+    for (const job of this.activeJobs.values()) if (job.instance === name) count++
+    return count
+  }
+
+  _client(jobUUID) {
+    const job = this.activeJobs.get(jobUUID)
+    const instance = job && this.instances.get(job.instance)
+    return instance ? instance.runnerClient : null
   }
 
-  async processJob(jobUUID, jobType, payload) {
-    this.activeJobs.set(jobUUID, { type: jobType, startTime: Date.now() })
+  async processJob(jobUUID, jobType, payload, instanceName) {
+    const { runnerClient } = this.instances.get(instanceName)
+    this.activeJobs.set(jobUUID, {
+      instance: instanceName,
+      type: jobType,
+      stage: 'accepted',
+      percent: 0,
+      startTime: Date.now(),
+      usesPool: isSupported(jobType) && usesPool(getHandler(jobType)),
+      // Aborted by cancelJob(): stops retries, local ffmpeg runs and uploads
+      controller: new AbortController()
+    })
     let tempDir = null
-    let poolTempDir = null
+    let interrupted = false
+    const progress = new JobProgress(this.config.progress, {
+      send: (percent) => runnerClient.updateJob(jobUUID, percent)
+        .catch(err => debug('progress update error: %s', err.message)),
+      onUpdate: (percent) => {
+        const job = this.activeJobs.get(jobUUID)
+        if (job) job.percent = percent
+      },
+      onActivity: () => this.watchdog.kick(jobUUID)
+    })
 
     try {
       // 1. Translate job
+      const handler = getHandler(jobType)
       const workflow = translateJob(jobType, payload, this.config.supernovao)
       workflow.jobUUID = jobUUID
+      workflow.jobType = jobType
+      workflow.signal = this.activeJobs.get(jobUUID).controller.signal
+      if (!usesPool(handler)) progress.plan(['download', 'encode', 'upload'])
 
-      // 2. Create temp directory
+      // 2. Create temp directory (the pool's work dir lives inside it)
       tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `ptsn-${jobUUID.slice(0, 8)}-`))
+      workflow.workDir = tempDir
+      await this._setStage(jobUUID, 'downloading', { tempDirs: [tempDir] })
 
-      // 3. Download input file (PT runner API requires POST with both tokens)
-      const inputPath = path.join(tempDir, 'input.mp4')
-      const jobToken = this.runnerClient.jobTokens.get(jobUUID)
-      await downloadInput(workflow.inputUrl, inputPath, this.runnerClient.runnerToken, jobToken)
-      workflow.localInputPath = inputPath
-      this.log.info({ jobUUID }, 'Input downloaded')
+      // 3. Download input files (PT runner API requires POST with both tokens)
+      const jobToken = runnerClient.jobTokens.get(jobUUID)
+      workflow.inputs = {}
+      const job = this.activeJobs.get(jobUUID)
+      const downloadStart = Date.now()
+      for (const [i, input] of workflow.inputFiles.entries()) {
+        let loggedTenth = 0
+        const onProgress = (received, total) => {
+          job.download = { input: input.name, received, total }
+          if (!total) return
+          progress.update('download', (i + received / total) / workflow.inputFiles.length)
+          const tenth = Math.floor((received / total) * 10)
+          if (tenth > loggedTenth) {
+            loggedTenth = tenth
+            this.log.info({ jobUUID, input: input.name, received, total }, 'Download %d%%', tenth * 10)
+          }
+        }
+        const download = (inputPath, onBytes, conditional) => downloadInput(
+          input.url, inputPath, runnerClient.runnerToken, jobToken,
+          {
+            retry: this.retry.download,
+            onRetry: this._logRetry(jobUUID),
+            onProgress: onBytes,
+            signal: workflow.signal,
+            ...conditional
+          }
+        )
+        workflow.inputs[input.name] = await this.downloads.acquire(jobUUID, input.url, download, onProgress)
+      }
+      progress.complete('download')
+      if (workflow.inputFiles.length) {
+        metrics.stageDuration.observe({ stage: 'download' }, (Date.now() - downloadStart) / 1000)
+      }
+      this.log.info({ jobUUID, inputs: Object.keys(workflow.inputs) }, 'Inputs downloaded')
 
       // 4. Start watchdog
-      this.watchdog.watch(jobUUID, async (uuid) => {
+      // A timed-out job is aborted like a cancelled one and handed back to
+      // PeerTube for another runner
+      this.watchdog.watch(jobUUID, (uuid) => {
         this.log.error({ jobUUID: uuid }, 'Job timed out')
-        try {
-          await this.runnerClient.postError(uuid, 'Job timed out')
-          await this.poolManager.cancelJob(uuid)
-        } catch (err) {
-          debug('timeout cleanup error: %s', err.message)
-        }
+        this.cancelJob(uuid, new TransientError(`Job ${uuid} timed out`))
+          .catch(err => debug('timeout cleanup error: %s', err.message))
       })
 
-      // 5. Process through pool
-      const poolResult = await this.poolManager.processJob(
-        workflow,
-        (percent) => {
-          this.watchdog.kick(jobUUID)
-          this.runnerClient.updateJob(jobUUID, percent)
-            .catch(err => debug('progress update error: %s', err.message))
-        }
-      )
-      poolTempDir = poolResult.tempDir
+      await this._setStage(jobUUID, 'encoding')
+
+      if (handler.live) {
+        // 5. Live: stream chunks until the input ends, no result file
+        await this.runLiveJob(jobUUID, workflow, tempDir)
+        workflow.signal.throwIfAborted()
+        await runnerClient.postSuccess(jobUUID, {}, null, workflow.signal)
+      } else {
+        // 5. Encode (a retry of a pool job resumes from its kept drive)
+        const { outputPath } = await withRetry(
+          () => this.encode(handler, workflow, tempDir, progress),
+          this.retry.encode,
+          { stage: 'encode', onRetry: this._logRetry(jobUUID), signal: workflow.signal }
+        )
 
-      // 6. Prepare and upload result
-      const result = await prepareResult(poolResult.outputPath, workflow)
-      await uploadResult(this.runnerClient, jobUUID, result)
+        // 6. Prepare and upload result
+        await this._setStage(jobUUID, 'uploading')
+        const result = await prepareResult(outputPath, workflow, handler)
+        let lastSent = 0
+        const onUploadProgress = (sent, total) => {
+          // A retried upload restarts from zero
+          metrics.uploadBytes.inc({}, sent >= lastSent ? sent - lastSent : sent)
+          lastSent = sent
+          progress.update('upload', sent / total)
+        }
+        await timeStage('upload', () => withRetry(
+          () => uploadResult(runnerClient, jobUUID, result, onUploadProgress, workflow.signal),
+          this.retry.upload,
+          { stage: 'upload', onRetry: this._logRetry(jobUUID), signal: workflow.signal }
+        ))
+      }
       this.log.info({ jobUUID, type: jobType }, 'Job completed successfully')
+      metrics.jobsSucceeded.inc({ type: jobType, instance: instanceName })
 
       // 7. Clear watchdog
       this.watchdog.clear(jobUUID)
     } catch (err) {
-      // Report error to PeerTube
-      this.log.error({ jobUUID, err: err.message }, 'Job failed')
+      // Report to PeerTube: transient failures that outlived their retries are
+      // aborted so the job goes back to the queue, permanent ones are errors
+      const job = this.activeJobs.get(jobUUID)
+      const cancelled = job.cancelled
+      // A cancelled job fails with whatever the abort broke; judge it by the
+      // reason it was aborted for
+      const cause = cancelled ? job.controller.signal.reason : err
+      const transient = isTransient(cause)
+      // gracefulShutdown() has already handed the job back to PeerTube
+      if (this.shuttingDown && !this.isRunning) {
+        this.log.warn({ jobUUID, err: err.message }, 'Job interrupted by shutdown')
+        interrupted = true
+        return
+      }
+      this.log.error({ jobUUID, stage: err.stage, transient, cancelled, err: err.message }, 'Job failed')
+      metrics.jobsFailed.inc({ type: jobType, instance: instanceName, stage: err.stage || 'unknown' })
       try {
-        await this.runnerClient.postError(jobUUID, err.message)
+        if (cancelled && !transient) await runnerClient.abortJob(jobUUID, 'Cancelled by runner operator')
+        else if (transient) await runnerClient.abortJob(jobUUID, cause.message)
+        else await runnerClient.postError(jobUUID, err.message)
       } catch (reportErr) {
         debug('failed to report error to PeerTube: %s', reportErr.message)
       }
-      this.failedJobs.add(jobUUID)
+      await this._markFailed(jobUUID)
       this.watchdog.clear(jobUUID)
       await this.poolManager.cancelJob(jobUUID).catch(() => {})
     } finally {
+      progress.stop()
       this.activeJobs.delete(jobUUID)
+      // After a shutdown abort PeerTube couldn't be told about, the journal
+      // entry lets the next start abort the job
+      if (!interrupted) await this.journal.remove(jobUUID)
+      await this.downloads.release(jobUUID)
       if (tempDir) await cleanupTemp(tempDir)
-      if (poolTempDir) await cleanupTemp(poolTempDir)
     }
   }
 
-  async stop() {
-    this.isRunning = false
+  /**
+   * Encode a non-live job: handlers with process() run on the bridge, short
+   * inputs are encoded locally, everything else goes through the pool.
+   * Pool temp dirs live under `workflow.workDir`, cleaned with the job.
+   */
+  async encode(handler, workflow, tempDir, progress) {
+    // Local encoders report a 0–100 percent, the pool reports per stage
+    const onProgress = (percent) => progress.update('encode', percent / 100)
+
+    if (handler.process) {
+      const outputPath = await timeStage('encode', () => handler.process(workflow, tempDir, onProgress))
+      return { outputPath }
+    }
+
+    workflow.localInputPath = handler.prepare
+      ? await handler.prepare(workflow, tempDir)
+      : workflow.inputs[workflow.inputFiles[0].name]
+
+    const { format } = await probeFile(workflow.localInputPath)
+    const duration = Number(format.duration) || 0
+    workflow.duration = duration
+    const threshold = this.config.supernovao.localEncodeBelowSec ?? 120
+
+    const job = this.activeJobs.get(workflow.jobUUID)
+    const noWorkers = this._poolHeadroom() < 0 && this.workers.localFallback
+
+    if (duration < threshold || noWorkers) {
+      // Segmenter rejects short inputs — encode on the bridge instead, as
+      // with jobs accepted on local fallback while no workers are free
+      this.log.info({ jobUUID: workflow.jobUUID, duration, threshold, noWorkers }, 'Encoding locally')
+      if (job) job.usesPool = false
+      progress.plan(['download', 'encode', 'upload'])
+      const outputPath = await timeStage('encode', () => transcode(
+        workflow.localInputPath, path.join(tempDir, 'output.mp4'), workflow, onProgress
+      ))
+      return { outputPath }
+    }
+
+    return this.poolManager.processJob(workflow, (stage, fraction) => progress.update(stage, fraction))
+  }
+
+  /**
+   * Pool jobs the online workers can still take (each job wants
+   * `workers.slotsPerJob` slots). Infinite with `workers.waitForWorkers`
+   * turned off.
+   */
+  _poolHeadroom() {
+    if (this.workers.waitForWorkers === false) return Infinity
+    const slotsPerJob = this.workers.slotsPerJob || 1
+    const poolJobs = [...this.activeJobs.values()].filter(job => job.usesPool).length
+    return Math.floor(this.poolManager.capacity() / slotsPerJob) - poolJobs
+  }
+
+  async _setStage(jobUUID, stage, journalFields) {
+    const job = this.activeJobs.get(jobUUID)
+    if (job && job.cancelled) throw new PermanentError(`Job ${jobUUID} cancelled`)
+    if (job) job.stage = stage
+    await this.journal.update(jobUUID, { stage, ...journalFields })
+  }
+
+  jobsStatus() {
+    const now = Date.now()
+    return [...this.activeJobs.entries()].map(([jobUUID, job]) => {
+      const poolJob = this.poolManager.activeJobs.get(jobUUID)
+      const pool = poolJob && poolJob.pool
+      return {
+        jobUUID,
+        instance: job.instance,
+        type: job.type,
+        stage: job.stage,
+        percent: job.percent,
+        elapsedMs: now - job.startTime,
+        download: job.download || null,
+        poolKey: poolJob ? poolJob.poolKey : null,
+        segments: pool && pool.segments ? pool.segments.length : null,
+        segmentsComplete: pool && pool.segmentsComplete ? pool.segmentsComplete.length : null
+      }
+    })
+  }
+
+  /**
+   * Every worker the registry knows, flagged `online` while it is connected
+   * to the presence topic.
+   */
+  workersStatus() {
+    const online = new Map(this.poolManager.presence.list().map(w => [w.publicKey, w]))
+    return this.poolManager.workerRegistry.list().map(worker => {
+      const presence = online.get(worker.publicKey)
+      return {
+        ...worker,
+        online: Boolean(presence),
+        slots: presence ? presence.slots : null,
+        segmentsPerMinute: presence ? presence.segmentsPerMinute : null
+      }
+    })
+  }
+
+  /**
+   * Healthy only while every instance is; per-instance state under `instances`.
+   */
+  healthStatus() {
+    const instances = {}
+    for (const { name, config, healthMonitor } of this.instances.values()) {
+      instances[name] = {
+        url: config.url,
+        healthy: healthMonitor.isHealthy(),
+        consecutiveFailures: healthMonitor.consecutiveFailures
+      }
+    }
+    const states = Object.values(instances)
+    return {
+      healthy: states.every(s => s.healthy),
+      consecutiveFailures: Math.max(...states.map(s => s.consecutiveFailures)),
+      instances
+    }
+  }
+
+  status() {
+    return {
+      running: this.isRunning,
+      paused: this.paused,
+      draining: this.draining,
+      shuttingDown: this.shuttingDown,
+      maxConcurrentJobs: this.config.polling.maxConcurrentJobs,
+      health: this.healthStatus(),
+      workers: this.poolManager.presence.list(),
+      jobs: this.jobsStatus()
+    }
+  }
+
+  pausePolling() {
+    this.paused = true
+    this.log.info('Polling paused')
+  }
+
+  resumePolling() {
+    this.paused = false
+    this.draining = false
+    this.log.info('Polling resumed')
+  }
+
+  drain() {
+    this.draining = true
+    this.log.info({ activeJobs: this.activeJobs.size }, 'Draining — no new jobs will be accepted')
+  }
+
+  /**
+   * Cancel an active job; processJob() then hands it back to PeerTube.
+   * `reason` is what the job is aborted with (the watchdog passes a
+   * TransientError for timeouts).
+   */
+  async cancelJob(jobUUID, reason = new PermanentError(`Job ${jobUUID} cancelled`)) {
+    const job = this.activeJobs.get(jobUUID)
+    if (!job) return false
+
+    job.cancelled = true
+    this.log.info({ jobUUID, reason: reason.message }, 'Cancelling job')
+    job.controller.abort(reason)
+    this._stopLive(jobUUID)
+    await this.poolManager.cancelJob(jobUUID)
+    return true
+  }
+
+  _logRetry(jobUUID) {
+    return (err, attempt, delay) => {
+      this.log.warn({ jobUUID, stage: err.stage, attempt, delay, err: err.message },
+        'Transient failure, retrying')
+    }
+  }
+
+  _isSkipped(jobUUID) {
+    const expiresAt = this.failedJobs.get(jobUUID)
+    if (!expiresAt) return false
+    if (Date.now() < expiresAt) return true
+
+    this.failedJobs.delete(jobUUID)
+    this.journal.clearFailed(jobUUID)
+    return false
+  }
+
+  async _markFailed(jobUUID) {
+    const expiresAt = Date.now() + (this.retry.failedJobTtlMs ?? 3600000)
+    this.failedJobs.set(jobUUID, expiresAt)
+    await this.journal.markFailed(jobUUID, expiresAt)
+  }
+
+  /**
+   * Handle jobs journaled by a previous run that never finished: clean their
+   * temp dirs and drives, then resume them with the saved job token, or abort
+   * them so PeerTube reassigns the work.
+   */
+  async recover() {
+    const resume = this.config.recovery?.resume !== false
+
+    for (const [jobUUID, entry] of this.journal.entries()) {
+      // Entries from before multi-instance support belong to the only instance
+      const instanceName = entry.instance || [...this.instances.keys()][0]
+      const instance = this.instances.get(instanceName)
+      this.log.warn({ jobUUID, instance: instanceName, type: entry.type, stage: entry.stage }, 'Found orphaned job')
+
+      // Pool drives are kept: a resumed or reassigned job picks up their segments
+      for (const dir of entry.tempDirs || []) await cleanupTemp(dir)
+      if (!instance) {
+        this.log.warn({ jobUUID, instance: instanceName }, 'Instance no longer configured, dropping job')
+        await this.journal.remove(jobUUID)
+        continue
+      }
+      const { runnerClient } = instance
+      if (entry.jobToken) runnerClient.jobTokens.set(jobUUID, entry.jobToken)
+
+      if (JobJournal.canResume(entry, resume)) {
+        this.log.info({ jobUUID }, 'Resuming orphaned job')
+        this._run(jobUUID, entry.type, entry.payload, instanceName)
+        continue
+      }
+
+      try {
+        if (entry.jobToken) await runnerClient.abortJob(jobUUID, 'Runner restarted')
+      } catch (err) {
+        debug('failed to abort orphaned job %s: %s', jobUUID, err.message)
+      }
+      await this.journal.remove(jobUUID)
+    }
+  }
+
+  async runLiveJob(jobUUID, workflow, outputDir) {
+    const transcoder = new LiveTranscoder(workflow, outputDir)
+    this.activeJobs.get(jobUUID).transcoder = transcoder
+
+    // Updates go out one at a time so a chunk's remove never overtakes its add
+    let updates = Promise.resolve()
+    const pushUpdate = (fields, files) => {
+      let lastSent = 0
+      const onSent = (sent) => {
+        metrics.uploadBytes.inc({}, sent - lastSent)
+        lastSent = sent
+      }
+      updates = updates
+        .then(() => this._client(jobUUID).updateJobFiles(jobUUID, fields, files, onSent))
+        .then(() => this.watchdog.kick(jobUUID))
+        .catch(err => this.log.warn({ jobUUID, err: err.message }, 'Live update failed'))
+    }
+
+    transcoder.on('chunk', ({ chunkPath, playlistPath, masterPlaylistPath }) => {
+      const files = { videoChunkFile: chunkPath, resolutionPlaylistFile: playlistPath }
+      if (masterPlaylistPath) files.masterPlaylistFile = masterPlaylistPath
+      pushUpdate({
+        type: 'add-chunk',
+        videoChunkFilename: path.basename(chunkPath),
+        resolutionPlaylistFilename: path.basename(playlistPath)
+      }, files)
+    })
+
+    transcoder.on('chunk-removed', ({ chunkFilename }) => {
+      pushUpdate({ type: 'remove-chunk', videoChunkFilename: chunkFilename }, {})
+    })
+
+    await new Promise((resolve, reject) => {
+      transcoder.once('live-ended', resolve)
+      transcoder.once('error', reject)
+      transcoder.start().catch(reject)
+    })
+    await updates
+    this.log.info({ jobUUID }, 'Live ended')
+  }
+
+  _stopLive(jobUUID) {
+    const job = this.activeJobs.get(jobUUID)
+    if (job && job.transcoder) job.transcoder.stop()
+  }
+
+  _onSignal(signal) {
+    if (this.shuttingDown) {
+      this.log.warn({ signal, activeJobs: this.activeJobs.size },
+        'Second shutdown signal — aborting active jobs')
+      if (this._forceShutdown) this._forceShutdown()
+      return
+    }
+    this.log.info({ signal }, 'Shutdown signal received')
+    this.shutdown()
+      .then(() => process.exit(0))
+      .catch(err => {
+        this.log.error({ err: err.message }, 'Shutdown failed')
+        process.exit(1)
+      })
+  }
+
+  /**
+   * Stop accepting jobs and give the active ones up to
+   * `timeouts.drainTimeoutMs` to finish, then stop. Jobs still running at
+   * the deadline (or after a second signal) are aborted for PeerTube to
+   * reassign.
+   */
+  async shutdown() {
+    this.shuttingDown = true
+    this.drain()
+    this._stopIntake()
+
+    const timeoutMs = this.config.timeouts.drainTimeoutMs ?? 600000
+    if (this.activeJobs.size) {
+      this.log.info({ activeJobs: this.activeJobs.size, timeoutMs },
+        'Waiting for active jobs to finish')
+    }
+    const drained = await this._waitForDrain(timeoutMs)
+    if (!drained) {
+      this.log.warn({ activeJobs: [...this.activeJobs.keys()] }, 'Drain incomplete — aborting jobs')
+    }
+    await this.stop()
+  }
+
+  _waitForDrain(timeoutMs) {
+    return new Promise(resolve => {
+      const finish = (drained) => {
+        clearInterval(check)
+        clearTimeout(deadline)
+        this._forceShutdown = null
+        resolve(drained)
+      }
+      const check = setInterval(() => {
+        if (!this.activeJobs.size) finish(true)
+      }, 1000)
+      const deadline = setTimeout(() => finish(false), timeoutMs)
+      this._forceShutdown = () => finish(false)
+      if (!this.activeJobs.size) finish(true)
+    })
+  }
+
+  _stopIntake() {
     if (this.pollTimer) {
       clearInterval(this.pollTimer)
       this.pollTimer = null
     }
-    if (this.socket) {
-      this.socket.disconnect()
-      this.socket = null
+    for (const instance of this.instances.values()) {
+      if (instance.socket) {
+        instance.socket.disconnect()
+        instance.socket = null
+      }
+    }
+  }
+
+  async stop() {
+    this.shuttingDown = true
+    this.isRunning = false
+    this._stopIntake()
+    if (this.statusServer) {
+      await this.statusServer.stop()
+      this.statusServer = null
+    }
+    // Abort what is still running; processJob() then cleans up after it
+    for (const [uuid, job] of this.activeJobs) {
+      job.controller.abort(new TransientError('Runner shutting down'))
+      this._stopLive(uuid)
     }
+    const jobUUIDs = new Set([...this.activeJobs.keys(), ...this.poolManager.activeJobs.keys()])
+    const monitors = [...this.instances.values()].map(instance => instance.healthMonitor)
     await gracefulShutdown(
-      this.runnerClient, this.poolManager, this.watchdog, this.healthMonitor
+      (uuid) => this._client(uuid), this.poolManager, this.watchdog, monitors, jobUUIDs, this.journal
     )
+    await Promise.all(this.runs)
   }
 }
 
@@ -0,0 +1,71 @@
+/**
+ * Error model for the bridge: every failure is either transient (worth
+ * retrying — network, swarm, PeerTube 5xx) or permanent (bad input, 4xx).
+ */
+class BridgeError extends Error {
+  constructor(message, { stage, status, transient = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'BridgeError'
+    this.stage = stage
+    this.status = status
+    this.transient = transient
+  }
+}
+
+class TransientError extends BridgeError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, transient: true })
+    this.name = 'TransientError'
+  }
+}
+
+class PermanentError extends BridgeError {
+  constructor(message, opts = {}) {
+    super(message, { ...opts, transient: false })
+    this.name = 'PermanentError'
+  }
+}
+
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT'
+])
+
+function isTransientStatus(status) {
+  return status >= 500 || status === 408 || status === 429
+}
+
+/**
+ * Error for a non-2xx HTTP response, classified by status code.
+ */
+function httpError(message, status) {
+  return new BridgeError(message, { status, transient: isTransientStatus(status) })
+}
+
+function isTransient(err) {
+  if (err instanceof BridgeError) return err.transient
+  if (err.status) return isTransientStatus(err.status)
+
+  const code = err.code || (err.cause && err.cause.code)
+  if (code && TRANSIENT_CODES.has(code)) return true
+
+  // undici wraps socket-level failures as `TypeError: fetch failed`
+  return err.name === 'TypeError' && err.message === 'fetch failed'
+}
+
+module.exports = {
+  BridgeError,
+  TransientError,
+  PermanentError,
+  httpError,
+  isTransient
+}
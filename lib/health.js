@@ -2,6 +2,8 @@ const { EventEmitter } = require('events')
 const debug = require('debug')('ptsn:health')
 const logger = require('pino')({ name: 'health' })
 
+const { metrics } = require('./metrics')
+
 class JobWatchdog {
   constructor(timeoutMs) {
     this.timeoutMs = timeoutMs || 3600000
@@ -110,6 +112,7 @@ class HealthMonitor extends EventEmitter {
 
   _recordFailure(reason) {
     this.consecutiveFailures++
+    metrics.healthCheckFailures.inc()
     debug('health check failed (%d/%d): %s',
       this.consecutiveFailures, this.maxConsecutiveFailures, reason)
 
@@ -122,7 +125,16 @@ class HealthMonitor extends EventEmitter {
   }
 }
 
-async function gracefulShutdown(runnerClient, poolManager, watchdog, monitor) {
+/**
+ * Abort the jobs still running (PeerTube reassigns them), keep their pool
+ * drives for a later resume and release everything else. Aborted jobs are
+ * dropped from the journal: their tokens are void, so recover() must not
+ * resume them.
+ *
+ * @param {function(string): RunnerClient|null} clientFor runner client of the
+ *   instance a job belongs to
+ */
+async function gracefulShutdown(clientFor, poolManager, watchdog, monitors, jobUUIDs, journal) {
   const log = logger.child({ component: 'shutdown' })
   log.info('Graceful shutdown initiated')
 
@@ -132,20 +144,23 @@ async function gracefulShutdown(runnerClient, poolManager, watchdog, monitor) {
   }, 30000)
 
   try {
-    // 1. Stop health monitor
-    monitor.stop()
-    log.info('Health monitor stopped')
+    // 1. Stop health monitors
+    for (const monitor of monitors) monitor.stop()
+    log.info('Health monitors stopped')
 
     // 2. Abort all active jobs — only report if we have a job token
-    for (const [uuid] of poolManager.activeJobs) {
+    for (const uuid of jobUUIDs || poolManager.activeJobs.keys()) {
+      const runnerClient = clientFor(uuid)
       try {
-        if (!runnerClient.jobTokens.has(uuid)) {
-          debug('no job token for %s, skipping postError', uuid)
+        if (!runnerClient || !runnerClient.jobTokens.has(uuid)) {
+          debug('no job token for %s, skipping abort', uuid)
           continue
         }
-        await runnerClient.postError(uuid, 'Runner shutting down')
+        await runnerClient.abortJob(uuid, 'Runner shutting down')
+        log.info({ jobUUID: uuid }, 'Job aborted')
+        if (journal) await journal.remove(uuid)
       } catch (err) {
-        debug('failed to report error for job %s: %s', uuid, err.message)
+        debug('failed to abort job %s: %s', uuid, err.message)
       }
     }
     await poolManager.destroy()
@@ -0,0 +1,34 @@
+/**
+ * PeerTube instances the bridge serves. `config.instances` maps a name to a
+ * block shaped like `config.peertube` (url, registrationToken, runnerName,
+ * runnerDescription, runnerToken) plus an optional `maxConcurrentJobs`
+ * cap. A config with only a `peertube` block is one instance, `default`.
+ *
+ * The returned blocks are the config objects themselves, so a token written
+ * to one lands in the config when it is saved.
+ */
+function instanceConfigs(config) {
+  if (config.instances && Object.keys(config.instances).length) {
+    return Object.entries(config.instances).map(([name, peertube]) => ({ name, peertube }))
+  }
+  return [{ name: 'default', peertube: config.peertube }]
+}
+
+/**
+ * The instance block for `name`; the only instance when `name` is omitted
+ * and there is just one.
+ */
+function instanceConfig(config, name) {
+  const instances = instanceConfigs(config)
+  if (!name) {
+    if (instances.length > 1) {
+      throw new Error(`Several instances configured (${instances.map(i => i.name).join(', ')}) — pick one with --instance`)
+    }
+    return instances[0]
+  }
+  const instance = instances.find(i => i.name === name)
+  if (!instance) throw new Error(`No instance named ${name} in config`)
+  return instance
+}
+
+module.exports = { instanceConfigs, instanceConfig }
@@ -1,84 +1,222 @@
 const fs = require('fs')
+const { Transform } = require('stream')
 const { pipeline } = require('stream/promises')
 const debug = require('debug')('ptsn:job-translator')
 const logger = require('pino')({ name: 'job-translator' })
 
-const SUPPORTED_TYPES = new Set([
-  'vod-web-video-transcoding',
-  'vod-hls-transcoding',
-  'vod-audio-merge-transcoding'
-])
-
-const TYPE_MAP = {
-  'vod-web-video-transcoding': 'vod-web',
-  'vod-hls-transcoding': 'vod-hls',
-  'vod-audio-merge-transcoding': 'audio-merge'
+const { httpError, TransientError, PermanentError } = require('./errors')
+const { withRetry } = require('./retry')
+const { probeFile } = require('./result-assembler')
+const { selectBitrate, buildVideoFilters } = require('./job-types/common')
+
+const handlers = new Map()
+
+/**
+ * Register a PeerTube job type. A handler module declares:
+ *
+ *   jobType          PeerTube runner job type, e.g. 'vod-hls-transcoding'
+ *   type             short workflow type, e.g. 'vod-hls'
+ *   outputFormat     'mp4' | 'hls' | ...
+ *   resultType       label logged when the result is uploaded
+ *   inputs(payload)  files to download: [{ name, url }], main input first
+ *   workflow(payload, config)                 optional extra workflow fields
+ *   prepare(workflow, tempDir)                optional, returns the pool input path
+ *   process(workflow, tempDir, onProgress)    optional, encodes on the bridge and
+ *                                             returns the output path (no pool)
+ *   successPayload(outputPath, workflow)      optional, returns the success
+ *                                             payload files, default { videoFile }
+ */
+function registerHandler(handler) {
+  if (!handler.jobType || !handler.type || typeof handler.inputs !== 'function') {
+    throw new Error('Job type handler needs jobType, type and inputs()')
+  }
+  handlers.set(handler.jobType, handler)
+  debug('registered job type %s', handler.jobType)
 }
 
-const FORMAT_MAP = {
-  'vod-web': 'mp4',
-  'vod-hls': 'hls',
-  'audio-merge': 'mp4'
+function getHandler(jobType) {
+  const handler = handlers.get(jobType)
+  if (!handler) throw new Error(`Unsupported job type: ${jobType}`)
+  return handler
 }
 
 function isSupported(jobType) {
-  return SUPPORTED_TYPES.has(jobType)
+  return handlers.has(jobType)
 }
 
 function translateJob(jobType, payload, config) {
-  if (!isSupported(jobType)) {
-    throw new Error(`Unsupported job type: ${jobType}`)
-  }
+  const handler = getHandler(jobType)
 
   if (!payload.input) {
     throw new Error(`payload.input missing for job type ${jobType}`)
   }
-  if (!payload.output) {
-    throw new Error(`payload.output missing for job type ${jobType}`)
-  }
 
-  const type = TYPE_MAP[jobType]
-  let inputUrl
-
-  if (jobType === 'vod-audio-merge-transcoding') {
-    inputUrl = payload.input.audioFileUrl
-  } else {
-    inputUrl = payload.input.videoFileUrl
+  const inputFiles = handler.inputs(payload)
+  for (const input of inputFiles) {
+    if (!input.url) {
+      throw new Error(`Input "${input.name}" missing for job type ${jobType}`)
+    }
   }
 
+  const { resolution, fps } = payload.output || {}
+
   const workflow = {
-    type,
-    inputUrl,
-    resolution: payload.output.resolution,
-    fps: payload.output.fps,
-    bitrate: config.bitrate || '200000',
+    type: handler.type,
+    inputUrl: inputFiles.length ? inputFiles[0].url : null,
+    inputFiles,
+    resolution,
+    fps,
+    bitrate: selectBitrate(resolution, config),
     level: config.level || '5.1',
-    outputFormat: FORMAT_MAP[type]
+    videoFilters: buildVideoFilters(resolution, fps),
+    outputFormat: handler.outputFormat,
+    ...(handler.workflow ? handler.workflow(payload, config) : {})
   }
 
   debug('translated %s -> %o', jobType, workflow)
   return workflow
 }
 
-async function downloadInput(inputUrl, destPath, runnerToken, jobToken) {
-  debug('downloading %s -> %s', inputUrl, destPath)
+function parseContentRange(header) {
+  const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(header || '')
+  if (!match) return null
+  return { start: Number(match[1]), total: match[2] === '*' ? null : Number(match[2]) }
+}
 
-  const res = await fetch(inputUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ runnerToken, jobToken })
-  })
+async function fileSize(filePath) {
+  try {
+    return (await fs.promises.stat(filePath)).size
+  } catch {
+    return 0
+  }
+}
+
+/**
+ * Download a runner job file (POST with both tokens). Interrupted transfers
+ * are retried per `opts.retry`, resuming with an HTTP Range request from
+ * what is already on disk; the result is checked against the announced size
+ * and probed with ffprobe.
+ *
+ * @param {Object} [opts]
+ * @param {Object} [opts.retry] retry policy ({ attempts, baseDelayMs, maxDelayMs })
+ * @param {function} [opts.onRetry] (err, attempt, delay)
+ * @param {function(number, ?number)} [opts.onProgress] (bytesReceived, totalBytes)
+ * @param {boolean} [opts.probe=true] ffprobe the file once downloaded
+ * @param {{etag: ?string, lastModified: ?string}} [opts.validators] of a copy
+ *   the caller already has: sent as If-None-Match / If-Modified-Since, and a
+ *   304 answer resolves null
+ * @param {function(Headers)} [opts.onHeaders] gets the headers of a full
+ *   (200) response, e.g. to keep its validators
+ * @param {AbortSignal} [opts.signal] stops the transfer and any retries
+ */
+async function downloadInput(inputUrl, destPath, runnerToken, jobToken, opts = {}) {
+  const { retry, onRetry, onProgress, probe = true, validators, onHeaders, signal } = opts
+  let total = null
+  let notModified = false
+
+  debug('downloading %s -> %s', inputUrl, destPath)
 
-  if (!res.ok) {
-    logger.warn({ status: res.status, url: inputUrl }, 'Download failed')
-    throw new Error(`Download failed: ${res.status} ${res.statusText} from ${inputUrl}`)
+  await withRetry(async (attempt) => {
+    const offset = attempt > 1 ? await fileSize(destPath) : 0
+    if (total !== null && offset === total) return
+
+    const headers = { 'Content-Type': 'application/json' }
+    if (offset > 0) {
+      headers.Range = `bytes=${offset}-`
+    } else if (validators) {
+      if (validators.etag) headers['If-None-Match'] = validators.etag
+      if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified
+    }
+
+    const res = await fetch(inputUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ runnerToken, jobToken }),
+      signal
+    })
+
+    if (res.status === 304) {
+      notModified = true
+      return
+    }
+
+    // Range past the end: done if the file is already whole, else start over
+    if (res.status === 416) {
+      const size = /^bytes \*\/(\d+)$/.exec(res.headers.get('content-range') || '')
+      if (size && Number(size[1]) === offset) {
+        total = offset
+        return
+      }
+      await fs.promises.rm(destPath, { force: true })
+      throw new TransientError(`Range ${offset}- not satisfiable from ${inputUrl}, restarting download`)
+    }
+
+    if (!res.ok) {
+      logger.warn({ status: res.status, url: inputUrl }, 'Download failed')
+      throw httpError(`Download failed: ${res.status} ${res.statusText} from ${inputUrl}`, res.status)
+    }
+
+    // Servers that ignore Range answer 200 with the whole file: start over
+    let received = 0
+    if (res.status === 206) {
+      const range = parseContentRange(res.headers.get('content-range'))
+      if (!range || range.start !== offset) {
+        await fs.promises.rm(destPath, { force: true })
+        throw new TransientError(`Unexpected Content-Range from ${inputUrl}`)
+      }
+      received = offset
+      total = range.total
+      debug('resuming %s at %d bytes', inputUrl, offset)
+    } else {
+      if (onHeaders) onHeaders(res.headers)
+      const length = res.headers.get('content-length')
+      total = length ? Number(length) : null
+    }
+
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length
+        if (onProgress) onProgress(received, total)
+        callback(null, chunk)
+      }
+    })
+
+    try {
+      await pipeline(res.body, counter, fs.createWriteStream(destPath, { flags: received ? 'a' : 'w' }))
+    } catch (err) {
+      signal?.throwIfAborted()
+      throw new TransientError(`Download interrupted at ${received} bytes: ${err.message}`, { cause: err })
+    }
+
+    if (total !== null && received !== total) {
+      throw new TransientError(`Download incomplete: ${received} of ${total} bytes from ${inputUrl}`)
+    }
+  }, retry, { stage: 'download', onRetry, signal })
+
+  if (notModified) {
+    debug('%s not modified, using cached copy', inputUrl)
+    return null
   }
 
-  const fileStream = fs.createWriteStream(destPath)
-  await pipeline(res.body, fileStream)
+  if (probe) {
+    try {
+      await probeFile(destPath)
+    } catch (err) {
+      throw new PermanentError(`Downloaded input is not a valid media file: ${err.message}`, { stage: 'download' })
+    }
+  }
 
-  debug('download complete: %s', destPath)
+  debug('download complete: %s (%s bytes)', destPath, total ?? 'unknown')
   return destPath
 }
 
-module.exports = { translateJob, downloadInput, isSupported }
+for (const handler of require('./job-types')) registerHandler(handler)
+
+module.exports = {
+  translateJob,
+  downloadInput,
+  isSupported,
+  getHandler,
+  selectBitrate,
+  buildVideoFilters
+}
@@ -0,0 +1,30 @@
+const path = require('path')
+
+const { mergeAudioImage } = require('../local-encoder')
+const { requireOutput } = require('./common')
+
+module.exports = {
+  jobType: 'vod-audio-merge-transcoding',
+  type: 'audio-merge',
+  outputFormat: 'mp4',
+  resultType: 'web-video',
+
+  inputs(payload) {
+    return [
+      { name: 'audio', url: payload.input.audioFileUrl },
+      { name: 'preview', url: payload.input.previewFileUrl }
+    ]
+  },
+
+  workflow(payload) {
+    requireOutput(payload, this.jobType)
+    return {}
+  },
+
+  process(workflow, tempDir, onProgress) {
+    return mergeAudioImage(
+      workflow.inputs.audio, workflow.inputs.preview,
+      path.join(tempDir, 'output.mp4'), workflow, onProgress
+    )
+  }
+}
@@ -0,0 +1,72 @@
+const path = require('path')
+
+const { muxSeparatedAudio } = require('../local-encoder')
+
+/**
+ * Pick the bitrate for a target resolution from `config.bitrateLadder`
+ * (height -> bitrate): the first rung at or above the requested height, or
+ * the top rung for anything larger. Falls back to the flat `config.bitrate`.
+ */
+function selectBitrate(resolution, config) {
+  const ladder = config.bitrateLadder
+  if (!resolution || !ladder) return config.bitrate || '200000'
+
+  const rungs = Object.keys(ladder).map(Number).sort((a, b) => a - b)
+  if (!rungs.length) return config.bitrate || '200000'
+
+  const rung = rungs.find(h => h >= resolution) ?? rungs[rungs.length - 1]
+  return String(ladder[rung])
+}
+
+/**
+ * ffmpeg filter chain applied to every segment. PeerTube's resolution is the
+ * short side of the frame, so portrait sources are scaled on width.
+ */
+function buildVideoFilters(resolution, fps) {
+  const filters = []
+  if (resolution) {
+    filters.push(
+      `scale=w='if(gte(iw,ih),-2,${resolution})':h='if(gte(iw,ih),${resolution},-2)'`
+    )
+  }
+  if (fps) filters.push(`fps=${fps}`)
+  return filters.join(',')
+}
+
+function requireOutput(payload, jobType) {
+  if (!payload.output) {
+    throw new Error(`payload.output missing for job type ${jobType}`)
+  }
+}
+
+/**
+ * Video input plus, on PeerTube versions that store audio separately,
+ * the first separated audio file.
+ */
+function videoInputs(payload) {
+  const inputs = [{ name: 'video', url: payload.input.videoFileUrl }]
+  const audioUrls = payload.input.separatedAudioFileUrl
+  if (Array.isArray(audioUrls) && audioUrls.length) {
+    inputs.push({ name: 'audio', url: audioUrls[0] })
+  }
+  return inputs
+}
+
+/**
+ * Pool input for video jobs: the downloaded video, with separated audio
+ * muxed back in when PeerTube sent it as its own file.
+ */
+async function prepareVideoInput(workflow, tempDir) {
+  if (!workflow.inputs.audio) return workflow.inputs.video
+
+  const outputPath = path.join(tempDir, 'input-muxed.mp4')
+  return muxSeparatedAudio(workflow.inputs.video, workflow.inputs.audio, outputPath, workflow.signal)
+}
+
+module.exports = {
+  selectBitrate,
+  buildVideoFilters,
+  requireOutput,
+  videoInputs,
+  prepareVideoInput
+}
@@ -0,0 +1,7 @@
+module.exports = [
+  require('./vod-web'),
+  require('./vod-hls'),
+  require('./audio-merge'),
+  require('./studio'),
+  require('./live')
+]
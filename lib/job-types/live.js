@@ -0,0 +1,39 @@
+const { selectBitrate, buildVideoFilters } = require('./common')
+
+/**
+ * live-rtmp-hls-transcoding: transcoded on the bridge (see live-transcoder.js),
+ * chunks are pushed through the runner `update` endpoint while the live runs.
+ */
+module.exports = {
+  jobType: 'live-rtmp-hls-transcoding',
+  type: 'live-hls',
+  outputFormat: 'hls',
+  resultType: 'live',
+  live: true,
+
+  inputs() {
+    return []
+  },
+
+  workflow(payload, config) {
+    if (!payload.input.rtmpUrl) {
+      throw new Error(`payload.input.rtmpUrl missing for job type ${this.jobType}`)
+    }
+    const output = payload.output || {}
+    if (!Array.isArray(output.toTranscode) || !output.toTranscode.length) {
+      throw new Error(`payload.output.toTranscode missing for job type ${this.jobType}`)
+    }
+
+    return {
+      rtmpUrl: payload.input.rtmpUrl,
+      segmentDuration: output.segmentDuration || 2,
+      segmentListSize: output.segmentListSize || 5,
+      toTranscode: output.toTranscode.map(({ resolution, fps }) => ({
+        resolution,
+        fps,
+        bitrate: selectBitrate(resolution, config),
+        videoFilters: buildVideoFilters(resolution, fps)
+      }))
+    }
+  }
+}
@@ -0,0 +1,159 @@
+const path = require('path')
+const debug = require('debug')('ptsn:job-types:studio')
+const ffmpeg = require('fluent-ffmpeg')
+
+const { runCommand, muxSeparatedAudio } = require('../local-encoder')
+const { probeFile } = require('../result-assembler')
+const { videoInputs } = require('./common')
+
+const TASKS_WITH_FILE = new Set(['add-intro', 'add-outro', 'add-watermark'])
+
+const ENCODE_OPTIONS = [
+  '-c:v libx264',
+  '-preset veryfast',
+  '-crf 23',
+  '-pix_fmt yuv420p',
+  '-c:a aac',
+  '-movflags +faststart'
+]
+
+async function describe(filePath) {
+  const metadata = await probeFile(filePath)
+  const video = metadata.streams.find(s => s.codec_type === 'video')
+  if (!video) throw new Error(`No video stream in ${filePath}`)
+  const [num, den] = String(video.avg_frame_rate || '25/1').split('/').map(Number)
+  return {
+    width: video.width,
+    height: video.height,
+    fps: den ? num / den : num || 25,
+    duration: Number(metadata.format.duration) || 0,
+    hasAudio: metadata.streams.some(s => s.codec_type === 'audio')
+  }
+}
+
+function cut(inputPath, outputPath, options, info, onProgress, signal) {
+  const start = options.start || 0
+  const end = options.end ?? info.duration
+  const outputOptions = [...ENCODE_OPTIONS, `-ss ${start}`, `-to ${end}`]
+
+  const command = ffmpeg(inputPath).outputOptions(outputOptions)
+  return runCommand(command, outputPath, end - start, onProgress, signal)
+}
+
+async function concatClip(mainPath, clipPath, outputPath, info, clipFirst, onProgress, signal) {
+  const clip = await describe(clipPath)
+  const parts = clipFirst ? [[1, clip], [0, info]] : [[0, info], [1, clip]]
+  const withAudio = info.hasAudio || clip.hasAudio
+
+  // Normalize both parts to the main video's geometry and frame rate,
+  // padding missing audio with silence so concat sees matching streams
+  const filters = []
+  const command = ffmpeg().input(mainPath).input(clipPath)
+  let silenceInput = 2
+
+  parts.forEach(([input, part], i) => {
+    filters.push(
+      `[${input}:v]scale=${info.width}:${info.height}:force_original_aspect_ratio=decrease,` +
+      `pad=${info.width}:${info.height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${info.fps}[v${i}]`
+    )
+    if (!withAudio) return
+    if (part.hasAudio) {
+      filters.push(`[${input}:a]aresample=48000,aformat=channel_layouts=stereo[a${i}]`)
+    } else {
+      command.input('anullsrc=r=48000:cl=stereo').inputOptions(['-f lavfi', `-t ${part.duration}`])
+      filters.push(`[${silenceInput}:a]anull[a${i}]`)
+      silenceInput++
+    }
+  })
+
+  const streams = withAudio ? '[v0][a0][v1][a1]' : '[v0][v1]'
+  filters.push(`${streams}concat=n=2:v=1:a=${withAudio ? 1 : 0}${withAudio ? '[v][a]' : '[v]'}`)
+
+  command
+    .complexFilter(filters)
+    .outputOptions([...ENCODE_OPTIONS, '-map [v]', ...(withAudio ? ['-map [a]'] : [])])
+
+  return runCommand(command, outputPath, info.duration + clip.duration, onProgress, signal)
+}
+
+function watermark(inputPath, watermarkPath, outputPath, options, info, onProgress, signal) {
+  const width = Math.max(2, Math.round(info.width * (options.watermarkSizeRatio || 0.1)))
+  const marginX = options.horitonzalMarginRatio || 0
+  const marginY = options.verticalMarginRatio || 0
+
+  const command = ffmpeg()
+    .input(inputPath)
+    .input(watermarkPath)
+    .complexFilter([
+      `[1:v]scale=${width}:-1[wm]`,
+      `[0:v][wm]overlay=x=main_w-overlay_w-main_w*${marginX}:y=main_h*${marginY}[v]`
+    ])
+    .outputOptions([...ENCODE_OPTIONS, '-map [v]', ...(info.hasAudio ? ['-map 0:a'] : [])])
+
+  return runCommand(command, outputPath, info.duration, onProgress, signal)
+}
+
+/**
+ * video-studio-transcoding: apply the edit tasks in order on the bridge,
+ * each task re-encoding the previous task's output.
+ */
+module.exports = {
+  jobType: 'video-studio-transcoding',
+  type: 'studio',
+  outputFormat: 'mp4',
+  resultType: 'web-video',
+
+  inputs(payload) {
+    const inputs = videoInputs(payload)
+    ;(payload.tasks || []).forEach((task, i) => {
+      if (TASKS_WITH_FILE.has(task.name)) {
+        inputs.push({ name: `task-${i}`, url: task.options && task.options.file })
+      }
+    })
+    return inputs
+  },
+
+  workflow(payload) {
+    if (!Array.isArray(payload.tasks) || !payload.tasks.length) {
+      throw new Error(`payload.tasks missing for job type ${this.jobType}`)
+    }
+    return { tasks: payload.tasks }
+  },
+
+  async process(workflow, tempDir, onProgress) {
+    let current = workflow.inputs.video
+    if (workflow.inputs.audio) {
+      current = await muxSeparatedAudio(current, workflow.inputs.audio, path.join(tempDir, 'input-muxed.mp4'), workflow.signal)
+    }
+
+    const total = workflow.tasks.length
+    for (const [i, task] of workflow.tasks.entries()) {
+      const info = await describe(current)
+      const outputPath = path.join(tempDir, `studio-${i}.mp4`)
+      const taskProgress = (pct) => onProgress(Math.floor(((i + pct / 100) / total) * 100))
+      const options = task.options || {}
+      debug('task %d/%d %s %o', i + 1, total, task.name, options)
+
+      switch (task.name) {
+        case 'cut':
+          await cut(current, outputPath, options, info, taskProgress, workflow.signal)
+          break
+        case 'add-intro':
+          await concatClip(current, workflow.inputs[`task-${i}`], outputPath, info, true, taskProgress, workflow.signal)
+          break
+        case 'add-outro':
+          await concatClip(current, workflow.inputs[`task-${i}`], outputPath, info, false, taskProgress, workflow.signal)
+          break
+        case 'add-watermark':
+          await watermark(current, workflow.inputs[`task-${i}`], outputPath, options, info, taskProgress, workflow.signal)
+          break
+        default:
+          throw new Error(`Unsupported studio task: ${task.name}`)
+      }
+
+      current = outputPath
+    }
+
+    return current
+  }
+}
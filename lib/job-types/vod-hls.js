@@ -0,0 +1,24 @@
+const { createHlsOutput, probeFile } = require('../result-assembler')
+const { requireOutput, videoInputs, prepareVideoInput } = require('./common')
+
+module.exports = {
+  jobType: 'vod-hls-transcoding',
+  type: 'vod-hls',
+  outputFormat: 'hls',
+  resultType: 'hls',
+
+  inputs: videoInputs,
+
+  workflow(payload) {
+    requireOutput(payload, this.jobType)
+    return {}
+  },
+
+  prepare: prepareVideoInput,
+
+  async successPayload(outputPath, workflow) {
+    const { playlistPath, fragmentedPath } = await createHlsOutput(outputPath, workflow)
+    await probeFile(fragmentedPath)
+    return { videoFile: fragmentedPath, resolutionPlaylistFile: playlistPath }
+  }
+}
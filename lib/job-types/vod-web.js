@@ -0,0 +1,17 @@
+const { requireOutput, videoInputs, prepareVideoInput } = require('./common')
+
+module.exports = {
+  jobType: 'vod-web-video-transcoding',
+  type: 'vod-web',
+  outputFormat: 'mp4',
+  resultType: 'web-video',
+
+  inputs: videoInputs,
+
+  workflow(payload) {
+    requireOutput(payload, this.jobType)
+    return {}
+  },
+
+  prepare: prepareVideoInput
+}
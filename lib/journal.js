@@ -0,0 +1,108 @@
+const fs = require('fs')
+const path = require('path')
+const debug = require('debug')('ptsn:journal')
+const logger = require('pino')({ name: 'journal' })
+
+const { isSupported, getHandler } = require('./job-translator')
+
+/**
+ * On-disk record of accepted jobs (token, stage, temp dirs) and failed job
+ * UUIDs with their skip-list expiry, so a restarted bridge can reconcile what it was doing.
+ *
+ * Stored as JSON under the supernovao storage dir; every change rewrites the
+ * file atomically (write temp + rename), serialized through one promise chain.
+ */
+class JobJournal {
+  constructor(storageDir) {
+    this.filePath = path.join(storageDir, 'journal.json')
+    this.jobs = new Map()
+    this.failed = new Map()
+    this._writes = Promise.resolve()
+    this.log = logger.child({ component: 'journal' })
+  }
+
+  async load() {
+    let data
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.log.warn({ err: err.message, file: this.filePath }, 'Unreadable journal, starting empty')
+      }
+      return
+    }
+
+    const now = Date.now()
+    this.jobs = new Map(Object.entries(data.jobs || {}))
+    this.failed = new Map(
+      Object.entries(data.failed || {}).filter(([, expiresAt]) => expiresAt > now)
+    )
+    debug('loaded %d jobs, %d failed from %s', this.jobs.size, this.failed.size, this.filePath)
+  }
+
+  /**
+   * Whether a job found in the journal on startup can be run again, rather
+   * than aborted for PeerTube to reassign. Live jobs can't pick up a stream
+   * where they left it, and without the token or payload there is nothing
+   * to resume from.
+   */
+  static canResume(entry, resume = true) {
+    return Boolean(resume && entry.jobToken && entry.payload &&
+      isSupported(entry.type) && !getHandler(entry.type).live)
+  }
+
+  entries() {
+    return [...this.jobs.entries()]
+  }
+
+  get(jobUUID) {
+    return this.jobs.get(jobUUID)
+  }
+
+  record(jobUUID, entry) {
+    this.jobs.set(jobUUID, { ...entry, updatedAt: Date.now() })
+    return this._persist()
+  }
+
+  update(jobUUID, patch) {
+    const entry = this.jobs.get(jobUUID)
+    if (!entry) return this._writes
+    this.jobs.set(jobUUID, { ...entry, ...patch, updatedAt: Date.now() })
+    return this._persist()
+  }
+
+  remove(jobUUID) {
+    this.jobs.delete(jobUUID)
+    return this._persist()
+  }
+
+  markFailed(jobUUID, expiresAt) {
+    this.failed.set(jobUUID, expiresAt)
+    return this._persist()
+  }
+
+  clearFailed(jobUUID) {
+    if (!this.failed.delete(jobUUID)) return this._writes
+    return this._persist()
+  }
+
+  _persist() {
+    const snapshot = JSON.stringify({
+      jobs: Object.fromEntries(this.jobs),
+      failed: Object.fromEntries(this.failed)
+    }, null, 2)
+
+    this._writes = this._writes
+      .then(async () => {
+        const tmp = this.filePath + '.tmp'
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+        await fs.promises.writeFile(tmp, snapshot)
+        await fs.promises.rename(tmp, this.filePath)
+      })
+      .catch(err => this.log.error({ err: err.message }, 'Failed to write journal'))
+
+    return this._writes
+  }
+}
+
+module.exports = JobJournal
@@ -0,0 +1,170 @@
+const fs = require('fs')
+const path = require('path')
+const { EventEmitter } = require('events')
+const debug = require('debug')('ptsn:live-transcoder')
+const logger = require('pino')({ name: 'live-transcoder' })
+const ffmpeg = require('fluent-ffmpeg')
+
+const { probeFile } = require('./result-assembler')
+
+const PLAYLIST_RE = /^(\d+)\.m3u8$/
+const CHUNK_RE = /^\d+-\d+\.ts$/
+
+function playlistChunks(content) {
+  return content.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#'))
+}
+
+/**
+ * Transcode a PeerTube live RTMP input into rolling HLS chunks, one variant
+ * per requested resolution, using PeerTube's own naming (master.m3u8,
+ * `<i>.m3u8`, `<i>-<seq>.ts`).
+ *
+ * Events:
+ *   'chunk'          { chunkPath, playlistPath, masterPlaylistPath? } — a chunk
+ *                    is listed in its playlist and complete on disk
+ *   'chunk-removed'  { chunkFilename } — ffmpeg dropped a chunk from the window
+ *   'live-ended'     input stream closed and the last chunks were emitted
+ *   'error'          ffmpeg failed or was stopped
+ */
+class LiveTranscoder extends EventEmitter {
+  constructor(workflow, outputDir) {
+    super()
+    this.workflow = workflow
+    this.outputDir = outputDir
+    this.command = null
+    this.watcher = null
+    this.sent = new Set()
+    this.masterSent = false
+    this.stopped = false
+    this.log = logger.child({ jobUUID: workflow.jobUUID })
+  }
+
+  async start() {
+    const { rtmpUrl, toTranscode, segmentDuration, segmentListSize } = this.workflow
+
+    const metadata = await probeFile(rtmpUrl)
+    const hasAudio = metadata.streams.some(s => s.codec_type === 'audio')
+
+    const filters = [
+      `[0:v]split=${toTranscode.length}${toTranscode.map((_, i) => `[in${i}]`).join('')}`
+    ]
+    const outputOptions = []
+
+    toTranscode.forEach((rendition, i) => {
+      filters.push(`[in${i}]${rendition.videoFilters || 'null'}[v${i}]`)
+      const gop = Math.round((rendition.fps || 30) * segmentDuration)
+      outputOptions.push(
+        `-map [v${i}]`,
+        `-c:v:${i} libx264`,
+        `-b:v:${i} ${rendition.bitrate}`,
+        `-g:v:${i} ${gop}`,
+        `-keyint_min:v:${i} ${gop}`
+      )
+      if (hasAudio) outputOptions.push('-map 0:a', `-c:a:${i} aac`)
+    })
+
+    const streamMap = toTranscode
+      .map((_, i) => hasAudio ? `v:${i},a:${i}` : `v:${i}`)
+      .join(' ')
+
+    outputOptions.push(
+      '-preset veryfast',
+      '-tune zerolatency',
+      '-sc_threshold 0',
+      '-pix_fmt yuv420p',
+      '-f hls',
+      `-hls_time ${segmentDuration}`,
+      `-hls_list_size ${segmentListSize}`,
+      '-hls_flags delete_segments+independent_segments',
+      '-hls_segment_type mpegts',
+      `-hls_segment_filename ${path.join(this.outputDir, '%v-%06d.ts')}`,
+      '-master_pl_name master.m3u8',
+      `-var_stream_map ${streamMap}`
+    )
+
+    this.watcher = fs.watch(this.outputDir, (event, filename) => {
+      if (filename) this._onFileEvent(filename)
+    })
+
+    this.command = ffmpeg(rtmpUrl)
+      .complexFilter(filters)
+      .outputOptions(outputOptions)
+      .output(path.join(this.outputDir, '%v.m3u8'))
+      .on('start', (cmd) => debug('ffmpeg %s', cmd))
+      .on('end', () => this._onEnd())
+      .on('error', (err) => {
+        this._closeWatcher()
+        this.emit('error', new Error(this.stopped
+          ? 'Live transcoding stopped'
+          : `Live ffmpeg failed: ${err.message}`))
+      })
+
+    this.command.run()
+    this.log.info({ resolutions: toTranscode.map(r => r.resolution), hasAudio }, 'Live transcoding started')
+  }
+
+  stop() {
+    if (this.stopped) return
+    this.stopped = true
+    if (this.command) this.command.kill('SIGKILL')
+    this._closeWatcher()
+  }
+
+  _closeWatcher() {
+    if (this.watcher) {
+      this.watcher.close()
+      this.watcher = null
+    }
+  }
+
+  _onFileEvent(filename) {
+    const playlist = filename.match(PLAYLIST_RE)
+    if (playlist) {
+      this._scanPlaylist(filename).catch(err => debug('playlist scan error: %s', err.message))
+      return
+    }
+
+    if (CHUNK_RE.test(filename) && this.sent.has(filename) &&
+      !fs.existsSync(path.join(this.outputDir, filename))) {
+      this.sent.delete(filename)
+      this.emit('chunk-removed', { chunkFilename: filename })
+    }
+  }
+
+  async _scanPlaylist(playlistFilename) {
+    const playlistPath = path.join(this.outputDir, playlistFilename)
+    let content
+    try {
+      content = await fs.promises.readFile(playlistPath, 'utf8')
+    } catch {
+      return
+    }
+
+    for (const chunkFilename of playlistChunks(content)) {
+      if (this.sent.has(chunkFilename)) continue
+      this.sent.add(chunkFilename)
+
+      const chunk = { chunkPath: path.join(this.outputDir, chunkFilename), playlistPath }
+      if (!this.masterSent) {
+        chunk.masterPlaylistPath = path.join(this.outputDir, 'master.m3u8')
+        this.masterSent = true
+      }
+      this.emit('chunk', chunk)
+    }
+  }
+
+  async _onEnd() {
+    this._closeWatcher()
+
+    // Final playlists carry the last chunks, which may not have fired an event yet
+    const files = await fs.promises.readdir(this.outputDir).catch(() => [])
+    for (const filename of files.filter(f => PLAYLIST_RE.test(f))) {
+      await this._scanPlaylist(filename).catch(() => {})
+    }
+
+    this.log.info({ chunks: this.sent.size }, 'Live input ended')
+    this.emit('live-ended')
+  }
+}
+
+module.exports = LiveTranscoder
@@ -0,0 +1,124 @@
+const debug = require('debug')('ptsn:local-encoder')
+const logger = require('pino')({ name: 'local-encoder' })
+const ffmpeg = require('fluent-ffmpeg')
+
+const { probeFile } = require('./result-assembler')
+
+function timemarkToSeconds(timemark) {
+  if (!timemark) return 0
+  return String(timemark).split(':').reduce((acc, part) => acc * 60 + Number(part), 0)
+}
+
+/**
+ * Run a prepared fluent-ffmpeg command, mapping its timemark onto 0–100
+ * against the expected output duration. Aborting `signal` kills ffmpeg and
+ * rejects with the signal's reason.
+ */
+function runCommand(command, outputPath, durationSec, onProgress, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const onAbort = () => {
+      command.kill('SIGKILL')
+      reject(signal.reason)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    const done = () => signal?.removeEventListener('abort', onAbort)
+
+    command
+      .on('start', (cmd) => {
+        debug('ffmpeg %s', cmd)
+        // Aborted before the process existed
+        if (signal?.aborted) command.kill('SIGKILL')
+      })
+      .on('progress', (p) => {
+        if (!durationSec) return
+        const pct = Math.floor((timemarkToSeconds(p.timemark) / durationSec) * 100)
+        onProgress(Math.max(0, Math.min(pct, 100)))
+      })
+      .on('end', () => {
+        done()
+        resolve(outputPath)
+      })
+      .on('error', (err) => {
+        done()
+        reject(new Error(`ffmpeg failed: ${err.message}`))
+      })
+      .save(outputPath)
+  })
+}
+
+/**
+ * Build a video from a still image looped over an audio track
+ * (vod-audio-merge-transcoding). Cheap enough to run on the bridge itself.
+ */
+async function mergeAudioImage(audioPath, imagePath, outputPath, workflow, onProgress) {
+  const metadata = await probeFile(audioPath)
+  const duration = Number(metadata.format.duration) || 0
+  if (!metadata.streams.some(s => s.codec_type === 'audio')) {
+    throw new Error(`No audio stream in ${audioPath}`)
+  }
+
+  logger.info({ jobUUID: workflow.jobUUID, duration, resolution: workflow.resolution },
+    'Merging audio with preview image')
+
+  const outputOptions = [
+    '-c:v libx264',
+    '-tune stillimage',
+    '-pix_fmt yuv420p',
+    `-b:v ${workflow.bitrate}`,
+    `-level ${workflow.level}`,
+    '-c:a aac',
+    '-shortest',
+    '-movflags +faststart'
+  ]
+  if (workflow.videoFilters) outputOptions.push(`-vf ${workflow.videoFilters}`)
+
+  const command = ffmpeg()
+    .input(imagePath)
+    .inputOptions(['-loop 1'])
+    .input(audioPath)
+    .outputOptions(outputOptions)
+
+  return runCommand(command, outputPath, duration, onProgress, workflow.signal)
+}
+
+/**
+ * Single-machine encode of a whole video with the workflow's settings, for
+ * inputs too short for the segmenter to split.
+ */
+async function transcode(inputPath, outputPath, workflow, onProgress) {
+  const metadata = await probeFile(inputPath)
+  const duration = Number(metadata.format.duration) || 0
+  const hasAudio = metadata.streams.some(s => s.codec_type === 'audio')
+
+  logger.info({ jobUUID: workflow.jobUUID, duration, resolution: workflow.resolution },
+    'Encoding locally')
+
+  const outputOptions = [
+    '-c:v libx264',
+    '-preset veryfast',
+    '-pix_fmt yuv420p',
+    `-b:v ${workflow.bitrate}`,
+    `-level ${workflow.level}`,
+    '-movflags +faststart'
+  ]
+  if (workflow.videoFilters) outputOptions.push(`-vf ${workflow.videoFilters}`)
+  if (hasAudio) outputOptions.push('-c:a aac')
+
+  const command = ffmpeg(inputPath).outputOptions(outputOptions)
+  return runCommand(command, outputPath, duration, onProgress, workflow.signal)
+}
+
+/**
+ * Mux a separated audio file back into its video without re-encoding.
+ */
+function muxSeparatedAudio(videoPath, audioPath, outputPath, signal) {
+  const command = ffmpeg()
+    .input(videoPath)
+    .input(audioPath)
+    .outputOptions(['-map 0:v', '-map 1:a', '-c copy', '-movflags +faststart'])
+
+  return runCommand(command, outputPath, 0, () => {}, signal)
+}
+
+module.exports = { mergeAudioImage, transcode, muxSeparatedAudio, runCommand, timemarkToSeconds }
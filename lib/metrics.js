@@ -0,0 +1,161 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4): counters,
+ * gauges and histograms with labels, rendered by the status API at /metrics.
+ */
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+  if (!pairs.length) return ''
+  return '{' + pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',') + '}'
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type
+    this.name = name
+    this.help = help
+    this.series = new Map()
+  }
+
+  _entry(labels, init) {
+    const key = labelKey(labels)
+    let entry = this.series.get(key)
+    if (!entry) {
+      entry = { labels, ...init() }
+      this.series.set(key, entry)
+    }
+    return entry
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()]
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help)
+  }
+
+  inc(labels = {}, value = 1) {
+    this._entry(labels, () => ({ value: 0 })).value += value
+  }
+
+  lines() {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)
+  }
+}
+
+/**
+ * Gauge; when `collect` is given it is called at render time and returns
+ * [labels, value] pairs, replacing any set() values.
+ */
+class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super('gauge', name, help)
+    this.collect = collect
+  }
+
+  set(labels, value) {
+    this._entry(labels, () => ({ value: 0 })).value = value
+  }
+
+  lines() {
+    const series = this.collect
+      ? this.collect().map(([labels, value]) => ({ labels, value }))
+      : [...this.series.values()]
+    return series.map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help)
+    this.buckets = buckets
+  }
+
+  observe(labels, value) {
+    const entry = this._entry(labels, () => ({
+      counts: this.buckets.map(() => 0), sum: 0, count: 0
+    }))
+    this.buckets.forEach((le, i) => {
+      if (value <= le) entry.counts[i]++
+    })
+    entry.sum += value
+    entry.count++
+  }
+
+  lines() {
+    const lines = []
+    for (const s of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`)
+      })
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`)
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`)
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`)
+    }
+    return lines
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map()
+  }
+
+  register(metric) {
+    this.metrics.set(metric.name, metric)
+    return metric
+  }
+
+  render() {
+    return [...this.metrics.values()].map(m => m.render().join('\n')).join('\n') + '\n'
+  }
+}
+
+const registry = new Registry()
+
+const STAGE_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200]
+
+const metrics = {
+  jobsAccepted: registry.register(new Counter(
+    'ptsn_jobs_accepted_total', 'Jobs accepted from PeerTube, by job type and instance')),
+  jobsSucceeded: registry.register(new Counter(
+    'ptsn_jobs_succeeded_total', 'Jobs completed successfully, by job type and instance')),
+  jobsFailed: registry.register(new Counter(
+    'ptsn_jobs_failed_total', 'Jobs failed, by job type, instance and failing stage')),
+  stageDuration: registry.register(new Histogram(
+    'ptsn_stage_duration_seconds',
+    'Duration of job stages (download, segment, encode, concat, upload)', STAGE_BUCKETS)),
+  segmentsEncoded: registry.register(new Counter(
+    'ptsn_segments_encoded_total', 'Segments returned by pool workers')),
+  workersRejected: registry.register(new Counter(
+    'ptsn_workers_rejected_total', 'Connections dropped by the worker allowlist / denylist')),
+  healthCheckFailures: registry.register(new Counter(
+    'ptsn_health_check_failures_total', 'Failed PeerTube health checks')),
+  uploadBytes: registry.register(new Counter(
+    'ptsn_upload_bytes_total', 'Bytes uploaded to PeerTube'))
+}
+
+/**
+ * Time an async stage into ptsn_stage_duration_seconds.
+ */
+async function timeStage(stage, fn) {
+  const start = process.hrtime.bigint()
+  try {
+    return await fn()
+  } finally {
+    metrics.stageDuration.observe({ stage }, Number(process.hrtime.bigint() - start) / 1e9)
+  }
+}
+
+module.exports = { registry, metrics, timeStage, Counter, Gauge, Histogram, Registry }
@@ -0,0 +1,86 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.ts': 'video/mp2t',
+  '.m3u8': 'application/vnd.apple.mpegurl'
+}
+
+function mimeType(fileName) {
+  return MIME_TYPES[path.extname(fileName)] || 'application/octet-stream'
+}
+
+function escapeName(name) {
+  return name.replace(/"/g, '%22').replace(/\r?\n/g, ' ')
+}
+
+/**
+ * Build a multipart/form-data body that streams files from disk instead of
+ * buffering them, with an exact Content-Length.
+ *
+ * @param {Object<string, string>} fields name -> value
+ * @param {Object<string, string>} files name -> local file path
+ * @param {function(number, number)} [onProgress] (bytesSent, totalBytes)
+ * @returns {Promise<{ headers: Object, body: AsyncIterable<Buffer>, length: number }>}
+ */
+async function createMultipart(fields, files, onProgress) {
+  const boundary = `----ptsn${crypto.randomBytes(12).toString('hex')}`
+  const parts = []
+
+  for (const [name, value] of Object.entries(fields)) {
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${escapeName(name)}"\r\n\r\n` +
+      `${value}\r\n`
+    ))
+  }
+
+  for (const [name, filePath] of Object.entries(files)) {
+    const fileName = path.basename(filePath)
+    const { size } = await fs.promises.stat(filePath)
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${escapeName(name)}"; filename="${escapeName(fileName)}"\r\n` +
+      `Content-Type: ${mimeType(fileName)}\r\n\r\n`
+    ))
+    parts.push({ filePath, size })
+    parts.push(Buffer.from('\r\n'))
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`))
+
+  const length = parts.reduce((sum, p) => sum + (Buffer.isBuffer(p) ? p.length : p.size), 0)
+
+  async function * body() {
+    let sent = 0
+    const advance = (n) => {
+      sent += n
+      if (onProgress) onProgress(sent, length)
+    }
+
+    for (const part of parts) {
+      if (Buffer.isBuffer(part)) {
+        yield part
+        advance(part.length)
+        continue
+      }
+      for await (const chunk of fs.createReadStream(part.filePath)) {
+        yield chunk
+        advance(chunk.length)
+      }
+    }
+  }
+
+  return {
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': String(length)
+    },
+    body: body(),
+    length
+  }
+}
+
+module.exports = { createMultipart, mimeType }
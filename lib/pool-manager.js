@@ -1,5 +1,6 @@
 const os = require('os')
 const fs = require('fs')
+const crypto = require('crypto')
 const path = require('path')
 const debug = require('debug')('ptsn:pool-manager')
 const logger = require('pino')({ name: 'pool-manager' })
@@ -12,17 +13,29 @@ const mp4 = require('supernovao/lib/mp4')
 const Pool = require('supernovao/lib/pool')
 const PATHS = require('supernovao/lib/paths')
 
+const WorkerPresence = require('./worker-presence')
+const WorkerRegistry = require('./worker-registry')
+const createFirewall = require('./worker-firewall')
+const SourceCache = require('./source-cache')
+const { storageOptions } = require('./storage')
+const { rankKey, allocateWorkers } = require('./scheduler')
+const { TransientError, PermanentError } = require('./errors')
+const { registry, metrics, timeStage, Gauge } = require('./metrics')
+
 /**
  * Pipe a readable into a writable using manual chunk transfer.
  * Avoids Node stream/promises pipeline with streamx (Hyperdrive)
  * streams — see supernovao/lib/concat.js for precedent.
  */
-function pipeStreams(reader, writer) {
+function pipeStreams(reader, writer, onBytes) {
   return new Promise((resolve, reject) => {
+    let bytes = 0
     writer.on('finish', resolve)
     writer.on('error', reject)
     reader.on('error', reject)
     reader.on('data', (chunk) => {
+      bytes += chunk.length
+      if (onBytes) onBytes(bytes)
       if (!writer.write(chunk)) {
         reader.pause()
         writer.once('drain', () => reader.resume())
@@ -32,139 +45,653 @@ function pipeStreams(reader, writer) {
   })
 }
 
+/**
+ * Per-job encode settings handed to the pool and published in the drive
+ * (`config/encode.json`), where workers read the scale / fps filter chain and
+ * bitrate to apply to each segment.
+ */
+function encodeSettings(workflow) {
+  return {
+    bitrate: workflow.bitrate,
+    level: workflow.level,
+    resolution: workflow.resolution,
+    fps: workflow.fps,
+    videoFilters: workflow.videoFilters
+  }
+}
+
+/**
+ * Key for one rendition: the same input bytes encoded with the same settings.
+ * Identical jobs share an encode by it, and a retry finds the segments it
+ * completed on the input's drive (see _savedProgress()).
+ */
+function workKeyFor(inputHash, workflow) {
+  return crypto.createHash('sha256')
+    .update(inputHash)
+    .update(JSON.stringify(encodeSettings(workflow)))
+    .digest('hex')
+    .slice(0, 32)
+}
+
 class PoolManager {
   constructor(config) {
     this.config = config
-    store.init(config.storage || '.supernovao')
+    this.storage = storageOptions(config)
+    const storage = this.storage.path
+    store.init(storage)
     this.activeJobs = new Map()
-    this.driveId = 'ptsn/bridge'
-    this.drive = null
-    this.poolKey = null
+    // driveId -> drive shared by the renditions of one input (see _shareDrive())
+    this.drives = new Map()
+    this.driveNamespace = config.driveNamespace || 'ptsn/job'
+    this.sourceCache = this.storage.cache ? new SourceCache(path.join(storage, 'cache')) : null
+    this._collecting = null
+    this.collectTimer = null
+    this.indexPath = path.join(storage, 'drives.json')
+    this.driveIndex = {}
+    this.firewall = createFirewall(config.workers)
+    this.presence = new WorkerPresence(config.workers, this.firewall)
+    this.workerRegistry = new WorkerRegistry(storage)
+    this.presence.on('worker-joined', (key) => {
+      this.workerRegistry.seen(key)
+      this._rebalance()
+    })
+    this.presence.on('worker-left', () => this._rebalance())
+    this.scheduling = { shareWorkers: true, ...config.scheduling }
+    // worker -> jobUUID from the last rebalance
+    this.allocation = new Map()
     this.log = logger.child({ component: 'pool-manager' })
+
+    registry.register(new Gauge(
+      'ptsn_pool_workers', 'Workers connected to each job pool swarm',
+      () => [...this.activeJobs.entries()]
+        .filter(([, job]) => job.swarm)
+        .map(([jobUUID, job]) => [{ job: jobUUID }, job.swarm.connections.size])
+    ))
+    registry.register(new Gauge(
+      'ptsn_storage_bytes', 'Bytes held by kept drives and cached downloads',
+      () => [
+        [{ kind: 'drive' }, Object.values(this.driveIndex).reduce((sum, entry) => sum + (entry.bytes || 0), 0)],
+        [{ kind: 'download' }, this.sourceCache ? this.sourceCache.list().reduce((sum, file) => sum + file.size, 0) : 0]
+      ]
+    ))
   }
 
   async start() {
-    this.drive = await store.getDrive(this.driveId)
-    this.poolKey = this.drive.key.toString('hex')
-    this.log.info({ poolKey: this.poolKey }, 'Pool key: %s', this.poolKey)
+    try {
+      this.driveIndex = JSON.parse(await fs.promises.readFile(this.indexPath, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.log.warn({ err: err.message }, 'Unreadable drive index')
+    }
+    if (this.sourceCache) await this.sourceCache.load()
+    await this.collectDrives()
+    this.collectTimer = setInterval(() => {
+      this.collectDrives().catch(err => this.log.warn({ err: err.message }, 'Storage eviction failed'))
+    }, this.config.collectIntervalMs || 3600000)
+    this.collectTimer.unref()
+    await this.workerRegistry.load()
+    await this.presence.start()
+    this.log.info({ driveNamespace: this.driveNamespace }, 'Pool manager ready')
+  }
+
+  driveIdFor(name) {
+    return `${this.driveNamespace}/${name}`
   }
 
-  async processJob(workflow, onProgress) {
+  /**
+   * Encode a workflow on the pool. `onProgress(stage, fraction)` reports the
+   * `segment`, `encode` and `concat` stages as 0–1 fractions.
+   *
+   * Every rendition of an input uses the same drive, segmented once (see
+   * _segmentOnce()). The pool's config and encoded segments live at fixed
+   * paths in the drive, so renditions take turns encoding on it.
+   */
+  async processJob(workflow, onJobProgress) {
     const jobKey = workflow.jobUUID
-    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ptsn-'))
+    if (this.activeJobs.has(jobKey)) {
+      throw new Error(`Job ${jobKey} is already being processed`)
+    }
 
+    const tempDir = await fs.promises.mkdtemp(path.join(workflow.workDir || os.tmpdir(), 'ptsn-'))
+
+    let drive = null
     let pool = null
     let swarm = null
     let progressInterval = null
+    let endTurn = null
+    let succeeded = false
 
-    try {
-      onProgress(0)
-
-      // 1. Create pool, share the startup drive (avoids double-open deadlock)
-      pool = new Pool(this.driveId, null, {})
-      pool.drive = this.drive
-      const drive = this.drive
-
-      // 2. Stream source into pool's drive
-      await pipeStreams(
-        fs.createReadStream(workflow.localInputPath),
-        drive.createWriteStream(`${PATHS.SOURCES}/input.mp4`)
-      )
-      debug('source written to drive')
+    // Track the job before any slow step so cancelJob() can reach it
+    const job = {
+      driveId: null, shared: null, workKey: null, drive: null, poolKey: null,
+      pool: null, swarm: null, tempDir, startTime: Date.now(),
+      // jobs waiting for this one's output (see _follow()), and the latest
+      // fraction of each stage to bring late followers up to date
+      followers: new Set(), delivered: false, progress: {}
+    }
+    // Rejected by cancelJob(), ending whichever wait the job is in
+    job.aborted = new Promise((resolve, reject) => { job.abort = reject })
+    job.aborted.catch(() => {})
+    this.activeJobs.set(jobKey, job)
+    const onProgress = (stage, fraction) => {
+      job.progress[stage] = fraction
+      onJobProgress(stage, fraction)
+      for (const follower of job.followers) follower.onProgress(stage, fraction)
+    }
 
-      // 3. Metadata extraction
-      await metadata(workflow.localInputPath, drive)
-      this.log.info({ jobUUID: jobKey }, 'Metadata extracted')
-      onProgress(2)
+    try {
+      // 1. A job with the same input and encode settings as a running one
+      //    waits for that job's output
+      workflow.inputHash = workflow.inputHash ||
+        (this.sourceCache && this.sourceCache.hashOf(workflow.localInputPath)) ||
+        await SourceCache.hashFile(workflow.localInputPath)
+      const workKey = workKeyFor(workflow.inputHash, workflow)
+      const leader = [...this.activeJobs].find(([, j]) => j.workKey === workKey && !j.delivered)
+      if (leader) return await this._follow(jobKey, job, leader, onJobProgress)
+      job.workKey = workKey
 
-      // 4. Segmentation
-      const [segPaths] = await segment(workflow.localInputPath, drive, tempDir)
-      this.log.info({ jobUUID: jobKey, segments: segPaths.length }, 'Segmented')
-      onProgress(8)
+      //    Otherwise open the input's drive (shared with its other
+      //    renditions, so it is only opened once) and segment it unless
+      //    that is done already (steps 2–6)
+      const driveId = this.driveIdFor(workflow.inputHash.slice(0, 32))
+      job.driveId = driveId
+      job.shared = this._shareDrive(driveId)
+      drive = await job.shared.opening
+      job.drive = drive
+      job.poolKey = drive.key.toString('hex')
+      await this._indexDrive(driveId, { jobUUID: jobKey })
+      this.log.info({ jobUUID: jobKey, driveId, poolKey: job.poolKey }, 'Pool key: %s', job.poolKey)
 
-      // 5. Demux tracks
-      const trackPaths = await mp4.demux(drive, workflow.localInputPath, tempDir)
-      this.log.info({ jobUUID: jobKey }, 'Demuxed tracks')
-      onProgress(10)
+      await this._segmentOnce(job.shared, job, workflow, tempDir, onProgress)
 
-      // 6. Write config so Pool.loadConfig() finds segments + tracks
-      await drive.put(
-        `${PATHS.CONFIG}/segments.json`,
-        Buffer.from(JSON.stringify(segPaths))
-      )
+      // 7. Wait for the renditions ahead of this one, point the pool and
+      //    workers at this rendition's settings, then load config from the
+      //    same drive instance and launch
+      endTurn = await this._takeTurn(job.shared, job)
       await drive.put(
-        `${PATHS.CONFIG}/tracks.json`,
-        Buffer.from(JSON.stringify(trackPaths || []))
+        `${PATHS.CONFIG}/encode.json`,
+        Buffer.from(JSON.stringify(encodeSettings(workflow)))
       )
-      this.log.info({ jobUUID: jobKey }, 'Config written to drive')
+      pool = new Pool(driveId, null, encodeSettings(workflow))
+      pool.drive = drive
+      job.pool = pool
 
-      // 7. Load config from same drive instance, then launch
       await pool.loadConfig()
       this.log.info({ jobUUID: jobKey, ready: pool.ready, segments: pool.segments?.length }, 'Pool config loaded')
 
       if (!pool.ready) {
-        throw new Error(`Pool not ready — no segments found in drive ${this.driveId}`)
+        throw new PermanentError(`Pool not ready — no segments found in drive ${driveId}`)
       }
 
-      swarm = new Hyperswarm()
-      await pool.launch(swarm)
-      this.log.info({ jobUUID: jobKey, poolKey: this.poolKey, segments: segPaths.length }, 'Pool launched')
+      // 8. Only dispatch what earlier attempts at this rendition didn't
+      //    finish; segments another rendition left in the drive don't count
+      pool.segmentsComplete = await this._savedProgress(drive, workKey)
+      if (pool.segmentsComplete.length) {
+        this.log.info({
+          jobUUID: jobKey,
+          complete: pool.segmentsComplete.length,
+          segments: pool.segments.length
+        }, 'Restored completed segments')
+      }
 
-      this.activeJobs.set(jobKey, { pool, swarm, tempDir, startTime: Date.now() })
+      swarm = new Hyperswarm({ firewall: this.firewall })
+      job.swarm = swarm
+      this._trackWorkers(jobKey, swarm)
+      await pool.launch(swarm)
+      job.rank = rankKey({
+        type: workflow.jobType,
+        resolution: workflow.resolution,
+        duration: workflow.duration
+      }, this.scheduling)
+      job.launched = true
+      this.presence.announceJob(jobKey, job.poolKey)
+      this._rebalance()
+      this.log.info({ jobUUID: jobKey, poolKey: job.poolKey, segments: pool.segments.length }, 'Pool launched')
 
-      // 9. Monitor encoding progress via segment completion
+      // 9. Monitor encoding progress via segment completion; once every
+      //    segment is in, the pool is concatenating + muxing
       const totalSegs = pool.segments.length
+      const encodeStart = Date.now()
+      let concatStart = null
+      let savedCount = pool.segmentsComplete.length
       progressInterval = setInterval(() => {
         if (totalSegs > 0) {
           const done = pool.segmentsComplete.length
-          const pct = 10 + Math.floor((done / totalSegs) * 75)
-          onProgress(Math.min(pct, 85))
+          onProgress('encode', done / totalSegs)
+
+          if (done !== savedCount) {
+            if (done > savedCount) {
+              metrics.segmentsEncoded.inc({}, done - savedCount)
+              this.workerRegistry.credit(jobKey, done - savedCount)
+            }
+            savedCount = done
+            this._saveProgress(job).catch(err => debug('save progress failed: %s', err.message))
+          }
+          // Workers beyond the segments left have nothing to do here
+          const staffed = [...this.allocation.values()].filter(id => id === jobKey).length
+          if (staffed > totalSegs - done) this._rebalance()
+          if (done >= totalSegs && !concatStart) {
+            concatStart = Date.now()
+            metrics.stageDuration.observe({ stage: 'encode' }, (concatStart - encodeStart) / 1000)
+          }
         }
       }, 2000)
 
-      // Wait for Pool to finish concat + mux
-      const outputDrivePath = await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error(
-            `Job timed out after ${this.config.segmentTimeoutMs || 600000}ms`
-          ))
-        }, this.config.segmentTimeoutMs || 600000)
-
-        pool.on('finalized', (result) => {
-          clearTimeout(timeout)
-          resolve(result)
-        })
-      })
+      // Wait for Pool to finish concat + mux, or cancelJob()
+      let timeout
+      const outputDrivePath = await Promise.race([
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => {
+            // Workers may simply not have been around: worth another attempt
+            reject(new TransientError(
+              `Job timed out after ${this.config.segmentTimeoutMs || 600000}ms`
+            ))
+          }, this.config.segmentTimeoutMs || 600000)
+          pool.on('finalized', resolve)
+        }),
+        job.aborted
+      ]).finally(() => clearTimeout(timeout))
 
       clearInterval(progressInterval)
       progressInterval = null
-      onProgress(95)
+      if (concatStart) {
+        metrics.stageDuration.observe({ stage: 'concat' }, (Date.now() - concatStart) / 1000)
+      }
+      onProgress('encode', 1)
+      onProgress('concat', 0.7)
       debug('finalized, drive path: %s', outputDrivePath)
 
       // 10. Extract muxed output from drive to local temp
       const outputPath = path.join(tempDir, 'output.mp4')
+      const outputEntry = await drive.entry(outputDrivePath)
+      const outputSize = outputEntry && outputEntry.value.blob ? outputEntry.value.blob.byteLength : 0
       await pipeStreams(
         drive.createReadStream(outputDrivePath),
-        fs.createWriteStream(outputPath)
+        fs.createWriteStream(outputPath),
+        (bytes) => outputSize && onProgress('concat', 0.7 + 0.3 * bytes / outputSize)
       )
 
-      onProgress(100)
+      await this._deliver(job, outputPath)
+
+      onProgress('concat', 1)
       this.log.info({ jobUUID: jobKey, outputPath }, 'Job complete')
 
+      // A kept drive resumes with every segment complete on a re-run
+      if (this.storage.cache) await this._saveProgress(job)
+
       // Cleanup pool + swarm on success (temp kept for caller)
       await pool.destroy()
       await swarm.destroy()
       pool = null
       swarm = null
+      succeeded = true
 
       return { outputPath, tempDir }
     } catch (err) {
       if (progressInterval) clearInterval(progressInterval)
+      await this._saveProgress(job).catch(() => {})
       throw err
     } finally {
+      job.launched = false
+      this.presence.withdrawJob(jobKey)
+      this._rebalance()
       if (pool) await pool.destroy().catch(() => {})
       if (swarm) await swarm.destroy().catch(() => {})
-      this.activeJobs.delete(jobKey)
+      if (endTurn) endTurn()
+      this.workerRegistry.endJob(jobKey)
+      for (const follower of job.followers) {
+        follower.reject(new TransientError(`Job ${jobKey} ended without output to share`))
+      }
+      job.followers.clear()
+      if (this.activeJobs.get(jobKey) === job) this.activeJobs.delete(jobKey)
+      // Failed work is kept for a retry, finished work for a re-run when
+      // caching; collectDrives() evicts both
+      await this._releaseDrive(job, !succeeded)
+      this.collectDrives().catch(err => this.log.warn({ err: err.message }, 'Storage eviction failed'))
+    }
+  }
+
+  /**
+   * Take a reference on the shared drive `driveId`, opening it for the first
+   * job of its input.
+   */
+  _shareDrive(driveId) {
+    let shared = this.drives.get(driveId)
+    if (!shared) {
+      shared = {
+        driveId,
+        opening: store.getDrive(driveId),
+        users: 0,
+        keep: false,
+        segmenting: null,
+        turn: Promise.resolve()
+      }
+      this.drives.set(driveId, shared)
+    }
+    shared.users++
+    return shared
+  }
+
+  /**
+   * Drop the job's reference on its drive. The last job to leave closes it:
+   * kept when any of its jobs failed or when caching, purged otherwise.
+   */
+  async _releaseDrive(job, keep) {
+    const shared = job.shared
+    if (!shared) return
+    job.shared = null
+    if (keep) shared.keep = true
+    if (--shared.users > 0) return
+
+    this.drives.delete(shared.driveId)
+    const drive = await shared.opening.catch(() => null)
+    if (!drive) return
+    if (shared.keep || this.storage.cache) await this._retainDrive(shared.driveId, drive)
+    else await this._purgeDrive(shared.driveId, drive)
+  }
+
+  /**
+   * Segment the input into its drive once for all its renditions: jobs
+   * arriving meanwhile wait for the same pass. tracks.json is written last,
+   * so its presence means an earlier job got the input segmented.
+   */
+  async _segmentOnce(shared, job, workflow, tempDir, onProgress) {
+    for (;;) {
+      const starting = !shared.segmenting
+      if (starting) {
+        shared.segmenting = this._segment(job.drive, workflow, tempDir, onProgress)
+        shared.segmenting.catch(() => { shared.segmenting = null })
+      }
+      try {
+        await Promise.race([shared.segmenting, job.aborted])
+        onProgress('segment', 1)
+        return
+      } catch (err) {
+        // Another job's pass failed (its temp dir goes when it is
+        // cancelled): segment with this job's input instead
+        if (starting || job.cancelled) throw err
+      }
+    }
+  }
+
+  async _segment(drive, workflow, tempDir, onProgress) {
+    if (await drive.entry(`${PATHS.CONFIG}/tracks.json`)) {
+      this.log.info({ jobUUID: workflow.jobUUID }, 'Input already segmented')
+      return
+    }
+    await timeStage('segment', () => this._prepareDrive(drive, workflow, tempDir, onProgress))
+  }
+
+  /**
+   * Wait until the renditions that asked before this job are done with the
+   * drive. Returns the function ending this job's turn.
+   */
+  async _takeTurn(shared, job) {
+    let endTurn
+    const turn = new Promise(resolve => { endTurn = resolve })
+    const previous = shared.turn
+    // An aborted job ends its turn early, so the next one still waits for
+    // `previous` as well
+    shared.turn = previous.then(() => turn)
+    try {
+      await Promise.race([previous, job.aborted])
+    } catch (err) {
+      endTurn()
+      throw err
+    }
+    return endTurn
+  }
+
+  /**
+   * Encode slots online: those advertised on the presence topic, or the
+   * workers connected to running job swarms if there are more of them
+   * (workers started by hand with `supernovao join` don't announce themselves).
+   */
+  capacity() {
+    const swarmWorkers = new Set()
+    for (const job of this.activeJobs.values()) {
+      if (!job.swarm) continue
+      for (const conn of job.swarm.connections) swarmWorkers.add(conn.remotePublicKey.toString('hex'))
+    }
+    return Math.max(this.presence.capacity(), swarmWorkers.size)
+  }
+
+  /**
+   * Share the presence workers between running pool jobs (see
+   * allocateWorkers()) and tell each worker which pool to join.
+   */
+  _rebalance() {
+    if (!this.scheduling.shareWorkers) return
+    const jobs = []
+    const poolKeys = new Map()
+    for (const [jobUUID, job] of this.activeJobs) {
+      if (!job.launched) continue
+      poolKeys.set(jobUUID, job.poolKey)
+      jobs.push({
+        id: jobUUID,
+        remaining: job.pool.segments.length - job.pool.segmentsComplete.length,
+        key: job.rank
+      })
+    }
+    this.allocation = allocateWorkers(this.presence.workerKeys(), jobs, this.allocation)
+    this.presence.assign(new Map(
+      [...this.allocation].map(([worker, jobUUID]) => [worker, poolKeys.get(jobUUID)])
+    ))
+  }
+
+  /**
+   * Record which workers are on a job's swarm; the progress tick credits
+   * them with the segments completed meanwhile (see WorkerRegistry).
+   */
+  _trackWorkers(jobKey, swarm) {
+    const registry = this.workerRegistry
+
+    swarm.on('connection', (conn, info) => {
+      const key = info.publicKey.toString('hex')
+      registry.connected(key, jobKey)
+      conn.on('close', () => registry.disconnected(key, jobKey))
+    })
+  }
+
+  async _prepareDrive(drive, workflow, tempDir, onProgress) {
+    const jobKey = workflow.jobUUID
+
+    // 2. Stream source into pool's drive
+    const { size } = await fs.promises.stat(workflow.localInputPath)
+    await pipeStreams(
+      fs.createReadStream(workflow.localInputPath),
+      drive.createWriteStream(`${PATHS.SOURCES}/input.mp4`),
+      (bytes) => size && onProgress('segment', 0.2 * bytes / size)
+    )
+    debug('source written to drive')
+
+    // 3. Metadata extraction
+    await metadata(workflow.localInputPath, drive)
+    this.log.info({ jobUUID: jobKey }, 'Metadata extracted')
+    onProgress('segment', 0.25)
+
+    // 4. Segmentation
+    const [segPaths] = await segment(workflow.localInputPath, drive, tempDir)
+    this.log.info({ jobUUID: jobKey, segments: segPaths.length }, 'Segmented')
+    onProgress('segment', 0.85)
+
+    // 5. Demux tracks
+    const trackPaths = await mp4.demux(drive, workflow.localInputPath, tempDir)
+    this.log.info({ jobUUID: jobKey }, 'Demuxed tracks')
+    onProgress('segment', 1)
+
+    // 6. Write config so Pool.loadConfig() finds segments + tracks
+    //    (tracks.json last — it marks the drive as fully prepared)
+    await drive.put(
+      `${PATHS.CONFIG}/segments.json`,
+      Buffer.from(JSON.stringify(segPaths))
+    )
+    await drive.put(
+      `${PATHS.CONFIG}/tracks.json`,
+      Buffer.from(JSON.stringify(trackPaths || []))
+    )
+    this.log.info({ jobUUID: jobKey }, 'Config written to drive')
+  }
+
+  /**
+   * Wait for the active job `leaderKey`, which has the same input and encode
+   * settings (e.g. the web-video and HLS jobs of one resolution), and take
+   * its output instead of encoding the video again.
+   */
+  async _follow(jobKey, job, [leaderKey, leader], onProgress) {
+    this.log.info({ jobUUID: jobKey, leader: leaderKey }, 'Sharing encode of identical job')
+    for (const [stage, fraction] of Object.entries(leader.progress)) onProgress(stage, fraction)
+
+    const outputPath = path.join(job.tempDir, 'output.mp4')
+    let follower
+    try {
+      await Promise.race([
+        new Promise((resolve, reject) => {
+          follower = { outputPath, onProgress, resolve, reject }
+          leader.followers.add(follower)
+        }),
+        job.aborted
+      ])
+    } finally {
+      leader.followers.delete(follower)
+    }
+    onProgress('concat', 1)
+    return { outputPath, tempDir: job.tempDir }
+  }
+
+  /**
+   * Give every follower its own link to the output (a copy across
+   * filesystems), since each job's temp dir is removed on its own.
+   */
+  async _deliver(job, outputPath) {
+    job.delivered = true
+    for (const follower of job.followers) {
+      try {
+        await fs.promises.link(outputPath, follower.outputPath).catch(err => {
+          if (err.code !== 'EXDEV') throw err
+          return fs.promises.copyFile(outputPath, follower.outputPath)
+        })
+        follower.resolve()
+      } catch (err) {
+        follower.reject(err)
+      }
+    }
+    job.followers.clear()
+  }
+
+  /**
+   * Remove a finished job's drive (db + blob cores) from the Corestore so
+   * per-job drives don't accumulate on disk.
+   */
+  async _purgeDrive(driveId, drive) {
+    try {
+      await drive.purge()
+      debug('purged drive %s', driveId)
+    } catch (err) {
+      this.log.warn({ driveId, err: err.message }, 'Failed to purge job drive')
+      await drive.close().catch(() => {})
+    }
+    delete this.driveIndex[driveId]
+    await this._saveIndex()
+  }
+
+  /**
+   * Close a drive but keep its data, so a retry or re-run of the same input
+   * + settings only dispatches the segments it doesn't have yet (none, for
+   * a finished job).
+   */
+  async _retainDrive(driveId, drive) {
+    const bytes = await this._driveBytes(drive)
+    await drive.close().catch(() => {})
+    await this._indexDrive(driveId, { retainedAt: Date.now(), bytes })
+    this.log.info({ driveId, bytes }, 'Retained drive')
+  }
+
+  async _driveBytes(drive) {
+    let bytes = 0
+    try {
+      for await (const entry of drive.list('/', { recursive: true })) {
+        if (entry.value.blob) bytes += entry.value.blob.byteLength
+      }
+    } catch (err) {
+      debug('could not size drive: %s', err.message)
+    }
+    return bytes
+  }
+
+  /**
+   * Completed segments are saved with the work key of the rendition they
+   * belong to, since the next rendition on the drive overwrites them.
+   */
+  async _saveProgress(job) {
+    if (!job.drive || !job.pool || !job.pool.segmentsComplete) return
+    await job.drive.put(
+      `${PATHS.CONFIG}/complete.json`,
+      Buffer.from(JSON.stringify({ workKey: job.workKey, segments: job.pool.segmentsComplete }))
+    )
+  }
+
+  async _savedProgress(drive, workKey) {
+    const saved = await drive.get(`${PATHS.CONFIG}/complete.json`)
+    if (!saved) return []
+    const progress = JSON.parse(saved)
+    return progress.workKey === workKey ? progress.segments : []
+  }
+
+  async _indexDrive(driveId, fields) {
+    this.driveIndex[driveId] = { ...this.driveIndex[driveId], ...fields, updatedAt: Date.now() }
+    await this._saveIndex()
+  }
+
+  async _saveIndex() {
+    const tmp = `${this.indexPath}.${process.pid}.${Date.now()}.tmp`
+    try {
+      await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true })
+      await fs.promises.writeFile(tmp, JSON.stringify(this.driveIndex, null, 2))
+      await fs.promises.rename(tmp, this.indexPath)
+    } catch (err) {
+      this.log.warn({ err: err.message }, 'Failed to write drive index')
+    }
+  }
+
+  /**
+   * Evict kept drives and cached downloads: whatever wasn't used within
+   * `storage.maxAgeMs`, then the least recently used while the total is over
+   * `storage.maxBytes`. Drives and downloads in use are never evicted.
+   */
+  collectDrives() {
+    if (!this._collecting) {
+      this._collecting = this._collect().finally(() => { this._collecting = null })
+    }
+    return this._collecting
+  }
+
+  async _collect() {
+    const inUse = new Set(this.drives.keys())
+    const files = this.sourceCache ? this.sourceCache.list() : []
+    const evictable = [
+      ...Object.entries(this.driveIndex)
+        .filter(([driveId]) => !inUse.has(driveId))
+        .map(([driveId, entry]) => ({ driveId, bytes: entry.bytes || 0, lastUsed: entry.updatedAt })),
+      ...files.filter(file => !file.pinned)
+        .map(file => ({ hash: file.hash, bytes: file.size, lastUsed: file.lastUsed }))
+    ].sort((a, b) => a.lastUsed - b.lastUsed)
+
+    let total = evictable.reduce((sum, item) => sum + item.bytes, 0) +
+      files.filter(file => file.pinned).reduce((sum, file) => sum + file.size, 0)
+    const cutoff = Date.now() - this.storage.maxAgeMs
+
+    for (const item of evictable) {
+      const expired = item.lastUsed <= cutoff
+      if (!expired && total <= this.storage.maxBytes) break
+      if (item.driveId) {
+        const drive = await store.getDrive(item.driveId)
+        await this._purgeDrive(item.driveId, drive)
+      } else {
+        await this.sourceCache.remove(item.hash)
+      }
+      total -= item.bytes
+      const what = item.driveId ? { driveId: item.driveId } : { download: item.hash }
+      this.log.info({ ...what, bytes: item.bytes, reason: expired ? 'age' : 'size' }, 'Evicted from storage')
     }
   }
 
@@ -172,20 +699,32 @@ class PoolManager {
     const job = this.activeJobs.get(jobUUID)
     if (!job) return
 
+    // Take the entry first so processJob's finally block doesn't release twice
+    this.activeJobs.delete(jobUUID)
+
     const { pool, swarm: jobSwarm, tempDir } = job
+    job.cancelled = true
+    job.abort(new Error(`Job ${jobUUID} cancelled`))
+    job.launched = false
+    this.presence.withdrawJob(jobUUID)
+    this._rebalance()
+    await this._saveProgress(job).catch(() => {})
     if (pool) await pool.destroy().catch(() => {})
     if (jobSwarm) await jobSwarm.destroy().catch(() => {})
+    await this._releaseDrive(job, true)
     if (tempDir) {
       await fs.promises.rm(tempDir, { recursive: true, force: true }).catch(() => {})
     }
-    this.activeJobs.delete(jobUUID)
     this.log.info({ jobUUID }, 'Cancelled')
   }
 
   async destroy() {
+    clearInterval(this.collectTimer)
     for (const [uuid] of this.activeJobs) {
       await this.cancelJob(uuid)
     }
+    await this.presence.stop()
+    await this.workerRegistry.flush()
     await store.close()
     this.log.info('Destroyed')
   }
@@ -0,0 +1,83 @@
+const debug = require('debug')('ptsn:progress')
+
+const DEFAULT_WEIGHTS = { download: 10, segment: 10, encode: 65, concat: 5, upload: 10 }
+
+/**
+ * Overall job progress from weighted stages. Each stage reports a 0–1
+ * fraction; the overall percent is the weighted sum over the stages the job
+ * actually runs (see plan()) and never goes backwards.
+ *
+ * `send(percent)` — the PeerTube updateJob call — is throttled: at most one
+ * call per `minIntervalMs`, only when the whole percent changed, with the
+ * latest value sent once the interval is up. `onUpdate(percent)` gets every
+ * change unthrottled (status API). `onActivity()` is called whenever a stage
+ * moves at all, even by less than a whole percent (watchdog).
+ */
+class JobProgress {
+  constructor(opts = {}, { send, onUpdate, onActivity } = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...opts.weights }
+    this.minIntervalMs = opts.minIntervalMs ?? 10000
+    this.send = send
+    this.onUpdate = onUpdate
+    this.onActivity = onActivity
+    this.stages = Object.keys(this.weights)
+    this.fractions = {}
+    this.percent = 0
+    this.sentPercent = -1
+    this.sentAt = 0
+    this.timer = null
+  }
+
+  /**
+   * Restrict the stages counted, e.g. a local encode has no segment/concat
+   * stage. Already reported progress is kept.
+   */
+  plan(stages) {
+    this.stages = stages.filter(stage => this.weights[stage])
+  }
+
+  update(stage, fraction) {
+    if (!this.stages.includes(stage)) return
+    const previous = this.fractions[stage] || 0
+    this.fractions[stage] = Math.min(1, Math.max(fraction, previous))
+    if (this.fractions[stage] > previous && this.onActivity) this.onActivity()
+
+    const total = this.stages.reduce((sum, s) => sum + this.weights[s], 0)
+    const done = this.stages.reduce((sum, s) => sum + this.weights[s] * (this.fractions[s] || 0), 0)
+    const percent = Math.floor((done / total) * 100)
+    if (percent <= this.percent) return
+
+    this.percent = percent
+    if (this.onUpdate) this.onUpdate(percent)
+    this._schedule()
+  }
+
+  complete(stage) {
+    this.update(stage, 1)
+  }
+
+  _schedule() {
+    if (this.timer || this.percent === this.sentPercent) return
+    const wait = this.sentAt + this.minIntervalMs - Date.now()
+    if (wait <= 0) return this._flush()
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this._flush()
+    }, wait)
+  }
+
+  _flush() {
+    if (this.percent === this.sentPercent) return
+    this.sentPercent = this.percent
+    this.sentAt = Date.now()
+    debug('send %d%%', this.percent)
+    this.send(this.percent)
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+}
+
+module.exports = JobProgress
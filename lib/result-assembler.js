@@ -1,4 +1,5 @@
 const fs = require('fs')
+const path = require('path')
 const debug = require('debug')('ptsn:result-assembler')
 const logger = require('pino')({ name: 'result-assembler' })
 const ffmpeg = require('fluent-ffmpeg')
@@ -16,7 +17,75 @@ async function probeFile(filePath) {
   })
 }
 
-async function prepareResult(outputPath, workflow) {
+function parseFrameRate(rate) {
+  if (!rate) return 0
+  const [num, den] = String(rate).split('/').map(Number)
+  if (!den) return num || 0
+  return num / den
+}
+
+/**
+ * Check the probed output against the resolution / fps the job asked for.
+ * Resolution is compared on the short side of the frame, like PeerTube does.
+ */
+function verifyOutput(metadata, workflow) {
+  const video = metadata.streams.find(s => s.codec_type === 'video')
+  if (!video) {
+    if (workflow.resolution) throw new Error('Output has no video stream')
+    return
+  }
+
+  if (workflow.resolution) {
+    const probed = Math.min(video.width, video.height)
+    if (probed !== workflow.resolution) {
+      throw new Error(
+        `Output resolution mismatch: expected ${workflow.resolution}p, got ${video.width}x${video.height}`
+      )
+    }
+  }
+
+  if (workflow.fps) {
+    const probed = parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate)
+    if (Math.abs(probed - workflow.fps) > 1) {
+      throw new Error(`Output fps mismatch: expected ${workflow.fps}, got ${probed.toFixed(2)}`)
+    }
+  }
+}
+
+/**
+ * Remux the pool's muxed MP4 into the single-file fragmented MP4 + playlist
+ * pair PeerTube expects for an HLS resolution (same layout as its own runner).
+ */
+async function createHlsOutput(outputPath, workflow) {
+  const dir = path.dirname(outputPath)
+  const prefix = `${workflow.jobUUID}-${workflow.resolution}`
+  const playlistPath = path.join(dir, `${prefix}.m3u8`)
+  const fragmentedPath = path.join(dir, `${prefix}-fragmented.mp4`)
+
+  debug('hls remux %s -> %s + %s', outputPath, playlistPath, fragmentedPath)
+
+  await new Promise((resolve, reject) => {
+    ffmpeg(outputPath)
+      .outputOptions([
+        '-c copy',
+        '-f hls',
+        '-hls_time 4',
+        '-hls_list_size 0',
+        '-hls_playlist_type vod',
+        '-hls_segment_type fmp4',
+        '-hls_flags single_file',
+        `-hls_segment_filename ${fragmentedPath}`
+      ])
+      .output(playlistPath)
+      .on('end', resolve)
+      .on('error', (err) => reject(new Error(`HLS remux failed: ${err.message}`)))
+      .run()
+  })
+
+  return { playlistPath, fragmentedPath }
+}
+
+async function prepareResult(outputPath, workflow, handler) {
   debug('preparing result: %s type=%s', outputPath, workflow.type)
 
   try {
@@ -32,17 +101,18 @@ async function prepareResult(outputPath, workflow) {
 
   const metadata = await probeFile(outputPath)
   debug('probe ok: %d streams, duration=%s', metadata.streams.length, metadata.format.duration)
+  verifyOutput(metadata, workflow)
 
-  if (workflow.type === 'vod-hls') {
-    return { videoFilePath: outputPath, type: 'hls' }
-  }
+  const files = handler.successPayload
+    ? await handler.successPayload(outputPath, workflow)
+    : { videoFile: outputPath }
 
-  return { videoFilePath: outputPath, type: 'web-video' }
+  return { type: handler.resultType || workflow.type, files }
 }
 
-async function uploadResult(runnerClient, jobUUID, result) {
-  debug('uploading result for job %s: %s', jobUUID, result.videoFilePath)
-  const res = await runnerClient.postSuccess(jobUUID, result.videoFilePath)
+async function uploadResult(runnerClient, jobUUID, result, onProgress, signal) {
+  debug('uploading result for job %s: %o', jobUUID, result.files)
+  const res = await runnerClient.postSuccess(jobUUID, result.files, onProgress, signal)
   logger.info({ jobUUID, type: result.type }, 'Result uploaded')
   return res
 }
@@ -57,4 +127,4 @@ async function cleanupTemp(tempDir) {
   }
 }
 
-module.exports = { prepareResult, uploadResult, cleanupTemp, probeFile }
+module.exports = { prepareResult, createHlsOutput, uploadResult, cleanupTemp, probeFile, verifyOutput }
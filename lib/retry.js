@@ -0,0 +1,57 @@
+const debug = require('debug')('ptsn:retry')
+
+const { isTransient } = require('./errors')
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Delay before retry `attempt` (1-based): exponential from baseDelayMs,
+ * capped at maxDelayMs, with up to 20% jitter.
+ */
+function backoffDelay(attempt, policy) {
+  const base = policy.baseDelayMs ?? 1000
+  const max = policy.maxDelayMs ?? 60000
+  const delay = Math.min(max, base * 2 ** (attempt - 1))
+  return Math.round(delay * (1 + Math.random() * 0.2))
+}
+
+/**
+ * Run `fn(attempt)` until it succeeds, a permanent error is thrown, or
+ * `policy.attempts` is exhausted. The last error is rethrown tagged with
+ * `stage`. Aborting `signal` ends the backoff and stops further attempts
+ * with the signal's reason.
+ */
+async function withRetry(fn, policy = {}, { stage, onRetry, signal } = {}) {
+  const attempts = Math.max(1, policy.attempts ?? 1)
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      signal?.throwIfAborted()
+      return await fn(attempt)
+    } catch (err) {
+      if (stage && !err.stage) err.stage = stage
+      if (attempt >= attempts || !isTransient(err) || signal?.aborted) throw err
+
+      const delay = backoffDelay(attempt, policy)
+      debug('%s attempt %d/%d failed (%s), retrying in %dms',
+        stage, attempt, attempts, err.message, delay)
+      if (onRetry) onRetry(err, attempt, delay)
+      await sleep(delay, signal)
+    }
+  }
+}
+
+module.exports = { withRetry, backoffDelay, sleep }
@@ -1,8 +1,9 @@
-const fs = require('fs')
-const path = require('path')
 const debug = require('debug')('ptsn:runner-client')
 const logger = require('pino')({ name: 'runner-client' })
 
+const { httpError } = require('./errors')
+const { createMultipart } = require('./multipart')
+
 class RunnerClient {
   constructor(config) {
     this.config = config
@@ -19,6 +20,35 @@ class RunnerClient {
     return { 'Content-Type': 'application/json' }
   }
 
+  /**
+   * POST a streamed multipart form: tokens + `payload[...]` fields and files.
+   * Aborting `signal` cancels the request mid-body.
+   */
+  async _postMultipart(url, jobUUID, fields, files, onProgress, signal) {
+    const formFields = {
+      runnerToken: this.runnerToken,
+      jobToken: this._jobToken(jobUUID)
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      formFields[`payload[${field}]`] = String(value)
+    }
+    const formFiles = {}
+    for (const [field, filePath] of Object.entries(files)) {
+      formFiles[`payload[${field}]`] = filePath
+    }
+
+    const { headers, body, length } = await createMultipart(formFields, formFiles, onProgress)
+    debug('POST %s (multipart, %d bytes)', url, length)
+
+    return fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      duplex: 'half',
+      signal
+    })
+  }
+
   _jobToken(jobUUID) {
     const token = this.jobTokens.get(jobUUID)
     if (!token) throw new Error(`No job token for job ${jobUUID}`)
@@ -44,7 +74,7 @@ class RunnerClient {
     debug('register response %d %o', res.status, data)
 
     if (!res.ok) {
-      throw new Error(`Register failed: ${res.status} ${JSON.stringify(data)}`)
+      throw httpError(`Register failed: ${res.status} ${JSON.stringify(data)}`, res.status)
     }
 
     this.runnerToken = data.runnerToken
@@ -67,7 +97,7 @@ class RunnerClient {
 
     if (!res.ok) {
       const data = await res.text()
-      throw new Error(`Unregister failed: ${res.status} ${data}`)
+      throw httpError(`Unregister failed: ${res.status} ${data}`, res.status)
     }
 
     this.runnerToken = null
@@ -89,7 +119,7 @@ class RunnerClient {
     debug('requestJob response %d, %d jobs available', res.status, data.availableJobs?.length ?? 0)
 
     if (!res.ok) {
-      throw new Error(`Request job failed: ${res.status} ${JSON.stringify(data)}`)
+      throw httpError(`Request job failed: ${res.status} ${JSON.stringify(data)}`, res.status)
     }
 
     return data
@@ -110,7 +140,7 @@ class RunnerClient {
     debug('acceptJob response %d %o', res.status, data)
 
     if (!res.ok) {
-      throw new Error(`Accept job failed: ${res.status} ${JSON.stringify(data)}`)
+      throw httpError(`Accept job failed: ${res.status} ${JSON.stringify(data)}`, res.status)
     }
 
     this.jobTokens.set(jobUUID, data.job.jobToken)
@@ -138,36 +168,50 @@ class RunnerClient {
 
     if (!res.ok) {
       const data = await res.text()
-      throw new Error(`Update job failed: ${res.status} ${data}`)
+      throw httpError(`Update job failed: ${res.status} ${data}`, res.status)
     }
   }
 
-  async postSuccess(jobUUID, outputFilePath) {
-    const url = this._apiUrl(`/api/v1/runners/jobs/${jobUUID}/success`)
-    const jobToken = this._jobToken(jobUUID)
+  /**
+   * Multipart job update, used by live jobs to push HLS chunks.
+   *
+   * @param {string} jobUUID
+   * @param {Object<string, string>} fields plain payload fields
+   * @param {Object<string, string>} files payload field -> local file path
+   * @param {function(number, number)} [onProgress] (bytesSent, totalBytes)
+   */
+  async updateJobFiles(jobUUID, fields, files, onProgress) {
+    const url = this._apiUrl(`/api/v1/runners/jobs/${jobUUID}/update`)
+    debug('update fields=%o', fields)
+
+    const res = await this._postMultipart(url, jobUUID, fields, files, onProgress)
 
-    debug('POST %s (multipart) file=%s', url, outputFilePath)
+    debug('updateJobFiles response %d', res.status)
 
-    const form = new FormData()
-    form.append('runnerToken', this.runnerToken)
-    form.append('jobToken', jobToken)
+    if (!res.ok) {
+      const data = await res.text()
+      throw httpError(`Update job failed: ${res.status} ${data}`, res.status)
+    }
+  }
 
-    const fileBuffer = await fs.promises.readFile(outputFilePath)
-    const fileName = path.basename(outputFilePath)
-    const mime = fileName.endsWith('.webm') ? 'video/webm' : 'video/mp4'
-    const blob = new Blob([fileBuffer], { type: mime })
-    form.append('payload[videoFile]', blob, fileName)
+  /**
+   * @param {string} jobUUID
+   * @param {Object<string, string>} files payload field -> local file path,
+   *   e.g. { videoFile, resolutionPlaylistFile } for HLS jobs
+   * @param {function(number, number)} [onProgress] (bytesSent, totalBytes)
+   * @param {AbortSignal} [signal]
+   */
+  async postSuccess(jobUUID, files, onProgress, signal) {
+    const url = this._apiUrl(`/api/v1/runners/jobs/${jobUUID}/success`)
+    debug('success files=%o', files)
 
-    const res = await fetch(url, {
-      method: 'POST',
-      body: form
-    })
+    const res = await this._postMultipart(url, jobUUID, {}, files, onProgress, signal)
 
     debug('postSuccess response %d', res.status)
 
     if (!res.ok) {
       const data = await res.text()
-      throw new Error(`Post success failed: ${res.status} ${data}`)
+      throw httpError(`Post success failed: ${res.status} ${data}`, res.status)
     }
 
     this.jobTokens.delete(jobUUID)
@@ -194,19 +238,20 @@ class RunnerClient {
 
     if (!res.ok) {
       const data = await res.text()
-      throw new Error(`Post error failed: ${res.status} ${data}`)
+      throw httpError(`Post error failed: ${res.status} ${data}`, res.status)
     }
 
     this.jobTokens.delete(jobUUID)
     this.log.info({ jobUUID, message }, 'Posted error')
   }
 
-  async abortJob(jobUUID) {
+  async abortJob(jobUUID, reason = 'Aborted by runner') {
     const url = this._apiUrl(`/api/v1/runners/jobs/${jobUUID}/abort`)
     const jobToken = this._jobToken(jobUUID)
     const body = {
       runnerToken: this.runnerToken,
-      jobToken
+      jobToken,
+      reason
     }
     debug('POST %s %o', url, body)
 
@@ -220,11 +265,11 @@ class RunnerClient {
 
     if (!res.ok) {
       const data = await res.text()
-      throw new Error(`Abort job failed: ${res.status} ${data}`)
+      throw httpError(`Abort job failed: ${res.status} ${data}`, res.status)
     }
 
     this.jobTokens.delete(jobUUID)
-    this.log.info({ jobUUID }, 'Aborted job')
+    this.log.info({ jobUUID, reason }, 'Aborted job')
   }
 }
 
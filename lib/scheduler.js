@@ -0,0 +1,108 @@
+const debug = require('debug')('ptsn:scheduler')
+
+const DEFAULT_TYPE_ORDER = [
+  'live-rtmp-hls-transcoding',
+  'vod-audio-merge-transcoding',
+  'vod-web-video-transcoding',
+  'vod-hls-transcoding',
+  'video-studio-transcoding'
+]
+
+/**
+ * Sort key for a job, compared element by element, lowest first:
+ *
+ *   1. position of the job type in `typeOrder`
+ *   2. output resolution, with `preferLowResolution`, so a video gets a
+ *      watchable rendition before its larger ones
+ *   3. source duration when known (accepted jobs only), shorter first
+ *
+ * PeerTube's requestJob() doesn't return job priorities; candidates come in
+ * PeerTube's own order, which breaks ties.
+ *
+ * @param {{type: string, resolution?: number, duration?: number}} job
+ */
+function rankKey(job, rules = {}) {
+  const typeOrder = rules.typeOrder || DEFAULT_TYPE_ORDER
+  const typeRank = typeOrder.indexOf(job.type)
+  return [
+    typeRank === -1 ? typeOrder.length : typeRank,
+    rules.preferLowResolution === false ? 0 : (job.resolution || 0),
+    job.duration || 0
+  ]
+}
+
+function compareRank(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+  return 0
+}
+
+/**
+ * Candidate jobs from requestJob(), best first. Stable for equal ranks, so
+ * PeerTube's own order breaks ties.
+ */
+function rankJobs(jobs, rules) {
+  return jobs
+    .map((job, index) => ({
+      job,
+      index,
+      key: rankKey({
+        type: job.type,
+        resolution: job.payload && job.payload.output ? job.payload.output.resolution : 0
+      }, rules)
+    }))
+    .sort((a, b) => compareRank(a.key, b.key) || a.index - b.index)
+    .map(({ job }) => job)
+}
+
+/**
+ * Split workers between running pool jobs. The pool doesn't say which
+ * workers are mid-segment, so a worker keeps its job while that job still
+ * has segments left for it; only workers without one (new, or whose job
+ * ended or has fewer segments left than workers) are placed. Each goes to
+ * the job with the fewest workers, best-ranked first, and no job gets more
+ * workers than it has segments left. Workers left over once every job is
+ * saturated go to the best-ranked job.
+ *
+ * @param {string[]} workers worker public keys
+ * @param {Array<{id: string, remaining: number, key: number[]}>} jobs
+ * @param {Map<string, string>} previous worker -> job id from the last run
+ * @returns {Map<string, string>} worker -> job id
+ */
+function allocateWorkers(workers, jobs, previous = new Map()) {
+  const allocation = new Map()
+  const ranked = jobs.filter(job => job.remaining > 0).sort((a, b) => compareRank(a.key, b.key))
+  if (!ranked.length) return allocation
+
+  // 1. Keep existing assignments while the job still needs them
+  const byId = new Map(ranked.map(job => [job.id, job]))
+  const assigned = new Map(ranked.map(job => [job.id, 0]))
+  const unplaced = []
+  for (const worker of workers) {
+    const job = byId.get(previous.get(worker))
+    if (job && assigned.get(job.id) < job.remaining) {
+      allocation.set(worker, job.id)
+      assigned.set(job.id, assigned.get(job.id) + 1)
+    } else {
+      unplaced.push(worker)
+    }
+  }
+
+  // 2. Place the rest on the least-served jobs that can use them
+  for (const worker of unplaced) {
+    let best = null
+    for (const job of ranked) {
+      if (assigned.get(job.id) >= job.remaining) continue
+      if (!best || assigned.get(job.id) < assigned.get(best.id)) best = job
+    }
+    best = best || ranked[0]
+    allocation.set(worker, best.id)
+    assigned.set(best.id, assigned.get(best.id) + 1)
+  }
+
+  debug('allocated %d workers across %d jobs (%d placed)', workers.length, ranked.length, unplaced.length)
+  return allocation
+}
+
+module.exports = { rankKey, rankJobs, allocateWorkers, compareRank }
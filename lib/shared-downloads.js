@@ -0,0 +1,122 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const debug = require('debug')('ptsn:shared-downloads')
+const logger = require('pino')({ name: 'shared-downloads' })
+
+/**
+ * Input files shared between sibling jobs. PeerTube creates one job per
+ * resolution of a video, and their file URLs only differ by the job UUID
+ * (`/api/v1/runners/jobs/<jobUUID>/files/videos/<videoUUID>/...`), so the
+ * URL with the job UUID stripped identifies the source.
+ *
+ * The first job to ask for a source downloads it into `dir`; siblings that
+ * ask while it is running or held wait for the same file and get its
+ * progress. The file is deleted once the last job holding it releases it.
+ *
+ * With `opts.share` off every job downloads its own copy. With `opts.cache`
+ * (a SourceCache) downloads go through the cache and released files stay
+ * there instead of being deleted.
+ */
+class SharedDownloads {
+  constructor(dir, opts = {}) {
+    this.dir = dir
+    this.share = opts.share !== false
+    this.cache = opts.cache || null
+    // source key -> { filePath, hash, promise, holders: Set(jobUUID), listeners: Set }
+    this.entries = new Map()
+    this.log = logger.child({ component: 'shared-downloads' })
+  }
+
+  /**
+   * Files left by a previous run have no holders; clear them.
+   */
+  async start() {
+    await fs.promises.rm(this.dir, { recursive: true, force: true })
+    await fs.promises.mkdir(this.dir, { recursive: true })
+  }
+
+  static sourceKey(url, jobUUID) {
+    return url.split(jobUUID).join('')
+  }
+
+  /**
+   * Local path of `url` for `jobUUID`, downloading it with
+   * `download(destPath, onProgress)` unless a sibling already has (the cache
+   * adds a third argument, see SourceCache.fetch()).
+   * If the sibling's download fails the job downloads it itself, with its
+   * own token.
+   *
+   * @param {function(number, ?number)} [onProgress] (bytesReceived, totalBytes)
+   */
+  async acquire(jobUUID, url, download, onProgress) {
+    const key = SharedDownloads.sourceKey(url, jobUUID)
+    const shared = this.share ? this.entries.get(key) : null
+    if (shared) {
+      shared.holders.add(jobUUID)
+      if (onProgress) shared.listeners.add(onProgress)
+      try {
+        await shared.promise
+        this.log.info({ jobUUID, source: key, holders: shared.holders.size }, 'Reusing download of sibling job')
+        return shared.filePath
+      } catch (err) {
+        debug('sibling download of %s failed (%s), downloading for %s', key, err.message, jobUUID)
+        shared.holders.delete(jobUUID)
+        if (this.entries.get(key) === shared) this.entries.delete(key)
+      } finally {
+        if (onProgress) shared.listeners.delete(onProgress)
+      }
+    }
+
+    const name = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16)
+    const tmpPath = path.join(this.dir, `${name}-${crypto.randomBytes(4).toString('hex')}`)
+    const entry = {
+      filePath: tmpPath,
+      hash: null,
+      promise: null,
+      holders: new Set([jobUUID]),
+      listeners: new Set(onProgress ? [onProgress] : [])
+    }
+    const notify = (received, total) => {
+      for (const listener of entry.listeners) listener(received, total)
+    }
+    entry.promise = this.cache
+      ? this.cache.fetch(key, tmpPath, download, notify).then(({ filePath, hash }) => {
+        entry.filePath = filePath
+        entry.hash = hash
+      })
+      : download(tmpPath, notify)
+    // Unshared downloads are keyed per job so siblings don't replace each other
+    this.entries.set(this.share ? key : `${jobUUID}:${key}`, entry)
+
+    try {
+      await entry.promise
+      return entry.filePath
+    } catch (err) {
+      for (const [k, e] of this.entries) {
+        if (e === entry) this.entries.delete(k)
+      }
+      await fs.promises.rm(tmpPath, { force: true })
+      throw err
+    } finally {
+      if (onProgress) entry.listeners.delete(onProgress)
+    }
+  }
+
+  /**
+   * Drop every file `jobUUID` holds, deleting those no other job holds.
+   */
+  async release(jobUUID) {
+    for (const [key, entry] of this.entries) {
+      if (!entry.holders.delete(jobUUID) || entry.holders.size) continue
+      this.entries.delete(key)
+      // Still downloading: the download cleans up after itself if it fails
+      await entry.promise.catch(() => {})
+      if (entry.hash) await this.cache.unpin(entry.hash)
+      else await fs.promises.rm(entry.filePath, { force: true })
+      debug('released %s', key)
+    }
+  }
+}
+
+module.exports = SharedDownloads
@@ -0,0 +1,197 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const debug = require('debug')('ptsn:source-cache')
+const logger = require('pino')({ name: 'source-cache' })
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject)
+  })
+}
+
+function validators(headers) {
+  return {
+    etag: headers.get('etag'),
+    lastModified: headers.get('last-modified'),
+    size: headers.get('content-length') ? Number(headers.get('content-length')) : null
+  }
+}
+
+/**
+ * Downloaded source files stored by their SHA-256 under `<dir>/<hash>`,
+ * plus which source URL (job UUID stripped, see SharedDownloads) last
+ * resolved to which file and the response's ETag / Last-Modified / length.
+ *
+ * A later job for the same URL makes a conditional request with the stored
+ * validators and uses the cached file when the server answers 304. A URL
+ * whose responses carry neither ETag nor Last-Modified is always downloaded;
+ * its bytes are still deduplicated by hash.
+ *
+ * Files are pinned while a job uses them; PoolManager.collectDrives() evicts
+ * unpinned ones. The index is `<dir>/index.json`, written atomically.
+ */
+class SourceCache {
+  constructor(dir) {
+    this.dir = dir
+    this.indexPath = path.join(dir, 'index.json')
+    // hash -> { size, lastUsed }
+    this.files = new Map()
+    // source URL -> { hash, etag, lastModified, size }
+    this.urls = new Map()
+    // hash -> number of jobs using the file
+    this.pins = new Map()
+    this._writes = Promise.resolve()
+    this.log = logger.child({ component: 'source-cache' })
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.dir, { recursive: true })
+    let data
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.indexPath, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.log.warn({ err: err.message, file: this.indexPath }, 'Unreadable source cache index, starting empty')
+      }
+      data = {}
+    }
+    // Drop entries whose file is gone and files no entry knows about
+    const present = new Set(await fs.promises.readdir(this.dir))
+    for (const [hash, file] of Object.entries(data.files || {})) {
+      if (present.has(hash)) this.files.set(hash, file)
+    }
+    for (const [url, entry] of Object.entries(data.urls || {})) {
+      if (this.files.has(entry.hash)) this.urls.set(url, entry)
+    }
+    for (const name of present) {
+      if (name !== 'index.json' && !this.files.has(name)) {
+        await fs.promises.rm(path.join(this.dir, name), { force: true })
+      }
+    }
+    debug('loaded %d files, %d urls', this.files.size, this.urls.size)
+  }
+
+  filePath(hash) {
+    return path.join(this.dir, hash)
+  }
+
+  /**
+   * Hash of a cached file path, null for any other path.
+   */
+  hashOf(filePath) {
+    if (path.dirname(path.resolve(filePath)) !== path.resolve(this.dir)) return null
+    const hash = path.basename(filePath)
+    return this.files.has(hash) ? hash : null
+  }
+
+  /**
+   * Cached file for `sourceKey`, downloading it to `tmpPath` with
+   * `download(tmpPath, onProgress, { validators, onHeaders })` (see
+   * downloadInput()) unless the server says the cached copy is current. The
+   * file is pinned until unpin(hash).
+   *
+   * @returns {Promise<{filePath: string, hash: string}>}
+   */
+  async fetch(sourceKey, tmpPath, download, onProgress) {
+    // Pin the known copy before asking, so eviction can't remove it while
+    // the request is out; released below if the source changed
+    const entry = this.urls.get(sourceKey)
+    const known = entry && this.files.has(entry.hash) && (entry.etag || entry.lastModified) ? entry : null
+    if (known) this.pin(known.hash)
+
+    let response = {}
+    let downloaded
+    try {
+      downloaded = await download(tmpPath, onProgress, {
+        validators: known ? { etag: known.etag, lastModified: known.lastModified } : null,
+        onHeaders: (headers) => { response = validators(headers) }
+      })
+    } catch (err) {
+      if (known) await this.unpin(known.hash)
+      throw err
+    }
+
+    if (downloaded === null) {
+      if (!known) throw new Error(`Server answered 304 for ${sourceKey} without a cached copy`)
+      this.log.info({ source: sourceKey, hash: known.hash }, 'Source not modified, using cached download')
+      if (onProgress) onProgress(known.size, known.size)
+      await this._persist()
+      return { filePath: this.filePath(known.hash), hash: known.hash }
+    }
+
+    const hash = await hashFile(tmpPath)
+    const { size } = await fs.promises.stat(tmpPath)
+    if (this.files.has(hash)) {
+      await fs.promises.rm(tmpPath, { force: true })
+      debug('%s already cached as %s', sourceKey, hash)
+    } else {
+      await fs.promises.rename(tmpPath, this.filePath(hash))
+      this.files.set(hash, { size, lastUsed: Date.now() })
+    }
+    this.urls.set(sourceKey, { hash, ...response, size })
+
+    this.pin(hash)
+    if (known) await this.unpin(known.hash)
+    else await this._persist()
+    return { filePath: this.filePath(hash), hash }
+  }
+
+  pin(hash) {
+    this.pins.set(hash, (this.pins.get(hash) || 0) + 1)
+    this.files.get(hash).lastUsed = Date.now()
+  }
+
+  unpin(hash) {
+    const pins = (this.pins.get(hash) || 0) - 1
+    if (pins > 0) this.pins.set(hash, pins)
+    else this.pins.delete(hash)
+    const file = this.files.get(hash)
+    if (file) file.lastUsed = Date.now()
+    return this._persist()
+  }
+
+  /**
+   * Cached files with their size, last use and whether a job holds them.
+   */
+  list() {
+    return [...this.files.entries()].map(([hash, file]) => ({
+      hash, ...file, pinned: this.pins.has(hash)
+    }))
+  }
+
+  async remove(hash) {
+    if (this.pins.has(hash)) return
+    this.files.delete(hash)
+    for (const [url, entry] of this.urls) {
+      if (entry.hash === hash) this.urls.delete(url)
+    }
+    await fs.promises.rm(this.filePath(hash), { force: true })
+    await this._persist()
+  }
+
+  _persist() {
+    const snapshot = JSON.stringify({
+      files: Object.fromEntries(this.files),
+      urls: Object.fromEntries(this.urls)
+    }, null, 2)
+
+    this._writes = this._writes
+      .then(async () => {
+        const tmp = this.indexPath + '.tmp'
+        await fs.promises.mkdir(this.dir, { recursive: true })
+        await fs.promises.writeFile(tmp, snapshot)
+        await fs.promises.rename(tmp, this.indexPath)
+      })
+      .catch(err => this.log.error({ err: err.message }, 'Failed to write source cache index'))
+
+    return this._writes
+  }
+}
+
+module.exports = SourceCache
+module.exports.hashFile = hashFile
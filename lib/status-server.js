@@ -0,0 +1,124 @@
+const http = require('http')
+const debug = require('debug')('ptsn:status-server')
+const logger = require('pino')({ name: 'status-server' })
+
+const { registry } = require('./metrics')
+
+const JOB_ROUTE = /^\/jobs\/([0-9a-f-]+)$/i
+const CANCEL_ROUTE = /^\/jobs\/([0-9a-f-]+)\/cancel$/i
+
+function sendJson(res, status, body) {
+  const data = JSON.stringify(body, null, 2)
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(data)
+  })
+  res.end(data)
+}
+
+/**
+ * Local HTTP API for inspecting and steering a running bridge.
+ *
+ *   GET  /status              bridge state, health and active jobs
+ *   GET  /health              200 when PeerTube is reachable, 503 otherwise
+ *   GET  /jobs                active jobs
+ *   GET  /jobs/:uuid          one active job
+ *   GET  /workers             known workers and their statistics
+ *   GET  /metrics             Prometheus metrics
+ *   POST /jobs/:uuid/cancel   cancel a job and hand it back to PeerTube
+ *   POST /polling/pause       stop accepting new jobs
+ *   POST /polling/resume      accept jobs again (also ends a drain)
+ *   POST /drain               stop accepting jobs, let active ones finish
+ */
+class StatusServer {
+  constructor(bridge, config) {
+    this.bridge = bridge
+    this.host = (config && config.host) || '127.0.0.1'
+    this.port = (config && config.port) || 9380
+    this.server = null
+    this.log = logger.child({ component: 'status-server' })
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch(err => {
+        this.log.error({ err: err.message, url: req.url }, 'Request failed')
+        sendJson(res, 500, { error: err.message })
+      })
+    })
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject)
+        this.log.info({ host: this.host, port: this.port }, 'Status API listening')
+        resolve()
+      })
+    })
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve()
+    return new Promise(resolve => {
+      this.server.close(() => resolve())
+      // Node < 18.2 has no closeAllConnections(); close() then waits for keep-alive sockets
+      if (this.server.closeAllConnections) this.server.closeAllConnections()
+      this.server = null
+    })
+  }
+
+  async _handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    debug('%s %s', req.method, pathname)
+
+    if (req.method === 'GET') {
+      if (pathname === '/status') return sendJson(res, 200, this.bridge.status())
+      if (pathname === '/health') {
+        const health = this.bridge.healthStatus()
+        return sendJson(res, health.healthy ? 200 : 503, health)
+      }
+      if (pathname === '/jobs') return sendJson(res, 200, this.bridge.jobsStatus())
+      if (pathname === '/workers') return sendJson(res, 200, this.bridge.workersStatus())
+      if (pathname === '/metrics') {
+        const body = registry.render()
+        res.writeHead(200, {
+          'Content-Type': 'text/plain; version=0.0.4',
+          'Content-Length': Buffer.byteLength(body)
+        })
+        return res.end(body)
+      }
+
+      const job = pathname.match(JOB_ROUTE)
+      if (job) {
+        const found = this.bridge.jobsStatus().find(j => j.jobUUID === job[1])
+        return found ? sendJson(res, 200, found) : sendJson(res, 404, { error: 'Job not found' })
+      }
+    }
+
+    if (req.method === 'POST') {
+      const cancel = pathname.match(CANCEL_ROUTE)
+      if (cancel) {
+        const cancelled = await this.bridge.cancelJob(cancel[1])
+        return cancelled
+          ? sendJson(res, 202, { jobUUID: cancel[1], cancelled: true })
+          : sendJson(res, 404, { error: 'Job not found' })
+      }
+      if (pathname === '/polling/pause') {
+        this.bridge.pausePolling()
+        return sendJson(res, 200, this.bridge.status())
+      }
+      if (pathname === '/polling/resume') {
+        this.bridge.resumePolling()
+        return sendJson(res, 200, this.bridge.status())
+      }
+      if (pathname === '/drain') {
+        this.bridge.drain()
+        return sendJson(res, 202, this.bridge.status())
+      }
+    }
+
+    sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` })
+  }
+}
+
+module.exports = StatusServer
@@ -0,0 +1,24 @@
+/**
+ * `supernovao.storage` is either the storage path or a block:
+ *
+ *   path      storage dir (Corestore, journal, registries, cache)
+ *   cache     keep downloaded sources and finished job drives for reuse (off
+ *             unless set; needs a finite maxBytes)
+ *   maxBytes  size budget for kept drives and cached sources
+ *   maxAgeMs  evict what hasn't been used for this long
+ */
+function storageOptions(config = {}) {
+  const storage = typeof config.storage === 'string' ? { path: config.storage } : config.storage || {}
+  const options = {
+    path: storage.path || '.supernovao',
+    cache: storage.cache === true,
+    maxBytes: storage.maxBytes ?? Infinity,
+    maxAgeMs: storage.maxAgeMs ?? 86400000
+  }
+  if (options.cache && !Number.isFinite(options.maxBytes)) {
+    throw new Error('supernovao.storage.cache needs a finite supernovao.storage.maxBytes')
+  }
+  return options
+}
+
+module.exports = { storageOptions }
@@ -0,0 +1,139 @@
+const crypto = require('crypto')
+const { spawn } = require('child_process')
+const debug = require('debug')('ptsn:worker-agent')
+const logger = require('pino')({ name: 'worker-agent' })
+const Hyperswarm = require('hyperswarm')
+
+/**
+ * Worker side of the presence protocol (see WorkerPresence), run on worker
+ * machines with `node cli.js worker`. It joins the presence topic, announces
+ * its slots with `hello` and runs the stock supernovao worker
+ * (`supernovao join <pool_key>`, once per slot) on every pool key a bridge
+ * sends in `jobs`.
+ *
+ * A worker process that exits while its pool is still wanted is started
+ * again after `restartDelayMs`; one whose pool is withdrawn gets SIGTERM.
+ */
+class WorkerAgent {
+  constructor(config = {}, opts = {}) {
+    this.topicName = config.topic || 'ptsn/workers'
+    this.topic = crypto.createHash('sha256').update(this.topicName).digest()
+    this.slots = opts.slots || 1
+    this.command = opts.command || ['supernovao', 'join']
+    this.restartDelayMs = opts.restartDelayMs ?? 5000
+    this.swarm = null
+    // bridge connection -> pool keys it last sent
+    this.wanted = new Map()
+    // pool key -> [{ child, timer }], one per slot
+    this.running = new Map()
+    this.log = logger.child({ component: 'worker-agent' })
+  }
+
+  async start() {
+    this.swarm = new Hyperswarm()
+    this.swarm.on('connection', (conn, info) => this._onConnection(conn, info))
+    this.swarm.join(this.topic, { server: false, client: true })
+    await this.swarm.flush()
+    this.log.info({ topic: this.topicName, slots: this.slots }, 'Waiting for bridges on presence topic')
+  }
+
+  _onConnection(conn, info) {
+    const bridge = info.publicKey.toString('hex')
+    this.log.info({ bridge }, 'Connected to bridge')
+    conn.write(JSON.stringify({ type: 'hello', slots: this.slots }) + '\n')
+
+    let buffered = ''
+    conn.on('data', (data) => {
+      buffered += data.toString()
+      let newline
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline).trim()
+        buffered = buffered.slice(newline + 1)
+        if (line) this._onMessage(conn, line)
+      }
+    })
+    conn.on('error', (err) => debug('bridge connection %s error: %s', bridge, err.message))
+    conn.on('close', () => {
+      this.log.info({ bridge }, 'Bridge disconnected')
+      this.wanted.delete(conn)
+      this._reconcile()
+    })
+  }
+
+  _onMessage(conn, line) {
+    let msg
+    try {
+      msg = JSON.parse(line)
+    } catch (err) {
+      debug('ignoring malformed message: %s', err.message)
+      return
+    }
+    if (msg.type !== 'jobs' || !Array.isArray(msg.poolKeys)) return
+    this.wanted.set(conn, msg.poolKeys)
+    this._reconcile()
+  }
+
+  /**
+   * Run a worker on every pool some bridge wants and stop the rest.
+   */
+  _reconcile() {
+    const wanted = new Set([...this.wanted.values()].flat())
+    for (const poolKey of wanted) {
+      if (!this.running.has(poolKey)) this._join(poolKey)
+    }
+    for (const poolKey of [...this.running.keys()]) {
+      if (!wanted.has(poolKey)) this._leave(poolKey)
+    }
+  }
+
+  _join(poolKey) {
+    const [command, ...args] = this.command
+    const workers = []
+    this.running.set(poolKey, workers)
+    this.log.info({ poolKey }, 'Joining pool')
+
+    for (let slot = 0; slot < this.slots; slot++) {
+      const worker = { child: null, timer: null }
+      workers.push(worker)
+      const launch = () => {
+        worker.timer = null
+        const child = spawn(command, [...args, poolKey], { stdio: 'inherit' })
+        worker.child = child
+        let ended = false
+        const onEnd = (reason) => {
+          if (ended) return
+          ended = true
+          worker.child = null
+          if (this.running.get(poolKey) !== workers) return
+          debug('worker on %s ended (%s), restarting in %dms', poolKey, reason, this.restartDelayMs)
+          worker.timer = setTimeout(launch, this.restartDelayMs)
+        }
+        child.on('error', (err) => {
+          this.log.error({ poolKey, err: err.message }, 'Could not run worker')
+          onEnd(err.message)
+        })
+        child.on('exit', (code, signal) => onEnd(signal || `exit ${code}`))
+      }
+      launch()
+    }
+  }
+
+  _leave(poolKey) {
+    const workers = this.running.get(poolKey)
+    this.running.delete(poolKey)
+    for (const worker of workers) {
+      clearTimeout(worker.timer)
+      if (worker.child) worker.child.kill('SIGTERM')
+    }
+    this.log.info({ poolKey }, 'Leaving pool')
+  }
+
+  async stop() {
+    this.wanted.clear()
+    this._reconcile()
+    if (this.swarm) await this.swarm.destroy().catch(() => {})
+    this.swarm = null
+  }
+}
+
+module.exports = WorkerAgent
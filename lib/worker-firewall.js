@@ -0,0 +1,37 @@
+const debug = require('debug')('ptsn:worker-firewall')
+const logger = require('pino')({ name: 'worker-firewall' })
+
+const { metrics } = require('./metrics')
+
+/**
+ * Hyperswarm `firewall` option built from `workers.allow` / `workers.deny`
+ * (hex public keys). Denied keys are always dropped; a non-empty allowlist
+ * drops everyone not on it. Hyperswarm calls the firewall during the Noise
+ * handshake, once the remote key is authenticated, so it can't be spoofed.
+ *
+ * @returns {function(Buffer): boolean} true to reject the connection
+ */
+function createFirewall(config = {}) {
+  const log = logger.child({ component: 'worker-firewall' })
+  const allow = new Set((config.allow || []).map(key => key.toLowerCase()))
+  const deny = new Set((config.deny || []).map(key => key.toLowerCase()))
+  const warned = new Set()
+
+  return function firewall(remotePublicKey) {
+    const key = remotePublicKey.toString('hex')
+    const rejected = deny.has(key) || (allow.size > 0 && !allow.has(key))
+    if (rejected) {
+      metrics.workersRejected.inc()
+      // Rejected peers tend to retry; log each one once
+      if (!warned.has(key)) {
+        warned.add(key)
+        log.warn({ worker: key, denied: deny.has(key) }, 'Rejected unauthorized worker')
+      } else {
+        debug('rejected %s', key)
+      }
+    }
+    return rejected
+  }
+}
+
+module.exports = createFirewall
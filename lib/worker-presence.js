@@ -0,0 +1,171 @@
+const crypto = require('crypto')
+const { EventEmitter } = require('events')
+const debug = require('debug')('ptsn:worker-presence')
+const logger = require('pino')({ name: 'worker-presence' })
+const Hyperswarm = require('hyperswarm')
+
+const { registry, Gauge } = require('./metrics')
+
+/**
+ * Presence swarm shared by the bridge and its workers. Peers on the topic
+ * exchange newline-delimited JSON messages:
+ *
+ *   worker -> bridge  { type: 'hello', slots, segmentsPerMinute }
+ *   bridge -> worker  { type: 'jobs', poolKeys: [...] }
+ *
+ * `hello` may be resent whenever a worker's figures change. Workers use the
+ * `jobs` list to join each active job's pool swarm. Once assign() has been
+ * called, each worker is only sent the pool it is assigned to.
+ */
+class WorkerPresence extends EventEmitter {
+  constructor(config = {}, firewall) {
+    super()
+    this.firewall = firewall
+    this.topicName = config.topic || 'ptsn/workers'
+    this.topic = crypto.createHash('sha256').update(this.topicName).digest()
+    this.swarm = null
+    // publicKey (hex) -> { slots, segmentsPerMinute, connectedAt, lastSeen }
+    this.workers = new Map()
+    this.connections = new Map()
+    // jobUUID -> pool key announced to workers
+    this.jobs = new Map()
+    // worker -> assigned pool key; null until assign() takes over from broadcasting
+    this.assignments = null
+    // worker -> pool keys it was last sent
+    this.sent = new Map()
+    this.log = logger.child({ component: 'worker-presence' })
+
+    registry.register(new Gauge(
+      'ptsn_workers_online', 'Workers connected to the presence topic',
+      () => [[{}, this.workers.size]]
+    ))
+  }
+
+  async start() {
+    this.swarm = new Hyperswarm({ firewall: this.firewall })
+    this.swarm.on('connection', (conn, info) => this._onConnection(conn, info))
+    this.swarm.join(this.topic, { server: true, client: false })
+    await this.swarm.flush()
+    this.log.info({ topic: this.topicName }, 'Worker presence topic: %s', this.topic.toString('hex'))
+  }
+
+  _onConnection(conn, info) {
+    const key = info.publicKey.toString('hex')
+    const now = Date.now()
+    this.connections.set(key, conn)
+    this.workers.set(key, { slots: 1, segmentsPerMinute: null, connectedAt: now, lastSeen: now })
+    this.log.info({ worker: key, workers: this.workers.size }, 'Worker connected')
+    this.emit('worker-joined', key)
+    this._sendJobs(key)
+
+    let buffered = ''
+    conn.on('data', (data) => {
+      buffered += data.toString()
+      let newline
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline).trim()
+        buffered = buffered.slice(newline + 1)
+        if (line) this._onMessage(key, line)
+      }
+    })
+    conn.on('error', (err) => debug('presence connection %s error: %s', key, err.message))
+    conn.on('close', () => {
+      if (this.connections.get(key) !== conn) return
+      this.connections.delete(key)
+      this.workers.delete(key)
+      this.sent.delete(key)
+      this.log.info({ worker: key, workers: this.workers.size }, 'Worker disconnected')
+      this.emit('worker-left', key)
+    })
+  }
+
+  _onMessage(key, line) {
+    let msg
+    try {
+      msg = JSON.parse(line)
+    } catch (err) {
+      debug('ignoring malformed message from %s: %s', key, err.message)
+      return
+    }
+    const worker = this.workers.get(key)
+    if (!worker) return
+    worker.lastSeen = Date.now()
+    if (msg.type === 'hello') {
+      if (Number.isInteger(msg.slots) && msg.slots > 0) worker.slots = msg.slots
+      if (Number(msg.segmentsPerMinute) > 0) worker.segmentsPerMinute = Number(msg.segmentsPerMinute)
+      debug('worker %s: slots=%d segmentsPerMinute=%s', key, worker.slots, worker.segmentsPerMinute)
+    }
+  }
+
+  _send(conn, msg) {
+    try {
+      conn.write(JSON.stringify(msg) + '\n')
+    } catch (err) {
+      debug('presence send failed: %s', err.message)
+    }
+  }
+
+  _sendJobs(key) {
+    const conn = this.connections.get(key)
+    if (!conn) return
+    let poolKeys = [...this.jobs.values()]
+    if (this.assignments) {
+      const assigned = this.assignments.get(key)
+      poolKeys = assigned ? [assigned] : []
+    }
+    if (this.sent.has(key) && this.sent.get(key).join() === poolKeys.join()) return
+    this.sent.set(key, poolKeys)
+    this._send(conn, { type: 'jobs', poolKeys })
+  }
+
+  _broadcastJobs() {
+    for (const key of this.connections.keys()) this._sendJobs(key)
+  }
+
+  announceJob(jobUUID, poolKey) {
+    this.jobs.set(jobUUID, poolKey)
+    this._broadcastJobs()
+  }
+
+  withdrawJob(jobUUID) {
+    if (this.jobs.delete(jobUUID)) this._broadcastJobs()
+  }
+
+  /**
+   * Point each worker at one pool (worker -> pool key); workers missing from
+   * the map are told to stay idle. Only workers whose pool changed are sent
+   * a message.
+   */
+  assign(assignments) {
+    this.assignments = assignments
+    this._broadcastJobs()
+  }
+
+  workerKeys() {
+    return [...this.workers.keys()]
+  }
+
+  /**
+   * Total encode slots advertised by connected workers.
+   */
+  capacity() {
+    let slots = 0
+    for (const worker of this.workers.values()) slots += worker.slots
+    return slots
+  }
+
+  list() {
+    return [...this.workers.entries()].map(([publicKey, worker]) => ({ publicKey, ...worker }))
+  }
+
+  async stop() {
+    if (!this.swarm) return
+    await this.swarm.destroy().catch(() => {})
+    this.swarm = null
+    this.connections.clear()
+    this.workers.clear()
+    this.sent.clear()
+  }
+}
+
+module.exports = WorkerPresence
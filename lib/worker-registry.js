@@ -0,0 +1,188 @@
+const fs = require('fs')
+const path = require('path')
+const debug = require('debug')('ptsn:worker-registry')
+const logger = require('pino')({ name: 'worker-registry' })
+
+/**
+ * Per-worker statistics kept across jobs and restarts, keyed by the worker's
+ * Hyperswarm public key (hex). Pool doesn't say which worker encoded which
+ * segment, so everything here comes from the swarms:
+ *
+ *   jobs          job swarms the worker connected to
+ *   connectedMs   time spent connected to job swarms
+ *   segments      share of the segments completed while it was connected
+ *                 (each completion is split evenly between connected workers)
+ *   first / last seen on the presence topic or a job swarm
+ *
+ * Stored as `workers.json` under the supernovao storage dir, rewritten
+ * atomically the same way as the job journal. Writes are batched: at most
+ * one every `persistDelayMs`, plus flush() on shutdown.
+ */
+class WorkerRegistry {
+  constructor(storageDir, opts = {}) {
+    this.filePath = path.join(storageDir, 'workers.json')
+    this.persistDelayMs = opts.persistDelayMs ?? 5000
+    this.workers = new Map()
+    // jobUUID -> Map(publicKey -> { since, conns }) for open job connections
+    this.sessions = new Map()
+    this.persistTimer = null
+    this._writes = Promise.resolve()
+    this.log = logger.child({ component: 'worker-registry' })
+  }
+
+  async load() {
+    let data
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.log.warn({ err: err.message, file: this.filePath }, 'Unreadable worker registry, starting empty')
+      }
+      return
+    }
+    this.workers = new Map(Object.entries(data.workers || {}))
+    debug('loaded %d workers from %s', this.workers.size, this.filePath)
+  }
+
+  _worker(publicKey) {
+    let worker = this.workers.get(publicKey)
+    if (!worker) {
+      worker = {
+        firstSeen: Date.now(),
+        lastSeen: Date.now(),
+        jobs: 0,
+        connectedMs: 0,
+        segments: 0
+      }
+      this.workers.set(publicKey, worker)
+    }
+    return worker
+  }
+
+  seen(publicKey) {
+    this._worker(publicKey).lastSeen = Date.now()
+    this._schedulePersist()
+  }
+
+  /**
+   * A connection from `publicKey` opened on `jobUUID`'s swarm. A worker with
+   * several connections to the same swarm counts once.
+   */
+  connected(publicKey, jobUUID) {
+    if (!this.sessions.has(jobUUID)) this.sessions.set(jobUUID, new Map())
+    const sessions = this.sessions.get(jobUUID)
+    const worker = this._worker(publicKey)
+    worker.lastSeen = Date.now()
+    const session = sessions.get(publicKey)
+    if (session) {
+      session.conns++
+    } else {
+      worker.jobs++
+      sessions.set(publicKey, { since: Date.now(), conns: 1 })
+    }
+    this._schedulePersist()
+  }
+
+  disconnected(publicKey, jobUUID) {
+    const sessions = this.sessions.get(jobUUID)
+    const session = sessions && sessions.get(publicKey)
+    if (!session || --session.conns > 0) return
+    this._close(publicKey, session)
+    sessions.delete(publicKey)
+    if (!sessions.size) this.sessions.delete(jobUUID)
+    this._schedulePersist()
+  }
+
+  /**
+   * `count` more segments of `jobUUID` completed: split them between the
+   * workers connected to its swarm.
+   */
+  credit(jobUUID, count) {
+    const sessions = this.sessions.get(jobUUID)
+    if (!sessions || !sessions.size || count <= 0) return
+    const share = count / sessions.size
+    for (const publicKey of sessions.keys()) {
+      const worker = this._worker(publicKey)
+      worker.segments += share
+      worker.lastSeen = Date.now()
+    }
+    this._schedulePersist()
+  }
+
+  /**
+   * The job's swarm is gone: close whatever connections are still open.
+   */
+  endJob(jobUUID) {
+    const sessions = this.sessions.get(jobUUID)
+    if (!sessions) return
+    for (const [publicKey, session] of sessions) this._close(publicKey, session)
+    this.sessions.delete(jobUUID)
+    this._schedulePersist()
+  }
+
+  _close(publicKey, session) {
+    const worker = this._worker(publicKey)
+    worker.connectedMs += Date.now() - session.since
+    worker.lastSeen = Date.now()
+  }
+
+  /**
+   * Connected time per credited segment, a rough encode time; null until the
+   * worker has been credited a segment.
+   */
+  msPerSegment(publicKey) {
+    const worker = this.workers.get(publicKey)
+    if (!worker || !worker.segments) return null
+    let connectedMs = worker.connectedMs
+    for (const sessions of this.sessions.values()) {
+      const session = sessions.get(publicKey)
+      if (session) connectedMs += Date.now() - session.since
+    }
+    return Math.round(connectedMs / worker.segments)
+  }
+
+  list() {
+    return [...this.workers.entries()].map(([publicKey, worker]) => ({
+      publicKey,
+      ...worker,
+      segments: Math.round(worker.segments * 10) / 10,
+      msPerSegment: this.msPerSegment(publicKey)
+    }))
+  }
+
+  _schedulePersist() {
+    if (this.persistTimer) return
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null
+      this._persist()
+    }, this.persistDelayMs)
+    this.persistTimer.unref()
+  }
+
+  /**
+   * Write any pending changes now.
+   */
+  flush() {
+    if (!this.persistTimer) return this._writes
+    clearTimeout(this.persistTimer)
+    this.persistTimer = null
+    return this._persist()
+  }
+
+  _persist() {
+    const snapshot = JSON.stringify({ workers: Object.fromEntries(this.workers) }, null, 2)
+
+    this._writes = this._writes
+      .then(async () => {
+        const tmp = this.filePath + '.tmp'
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+        await fs.promises.writeFile(tmp, snapshot)
+        await fs.promises.rename(tmp, this.filePath)
+      })
+      .catch(err => this.log.error({ err: err.message }, 'Failed to write worker registry'))
+
+    return this._writes
+  }
+}
+
+module.exports = WorkerRegistry
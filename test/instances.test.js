@@ -0,0 +1,33 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const { instanceConfigs, instanceConfig } = require('../lib/instances')
+
+const single = { peertube: { url: 'https://tube.example' } }
+const several = {
+  peertube: { url: 'https://ignored.example' },
+  instances: {
+    main: { url: 'https://tube.example' },
+    edu: { url: 'https://edu.example', maxConcurrentJobs: 1 }
+  }
+}
+
+test('instanceConfigs treats a lone peertube block as the default instance', () => {
+  assert.deepStrictEqual(instanceConfigs(single), [{ name: 'default', peertube: single.peertube }])
+  assert.deepStrictEqual(instanceConfigs({ ...single, instances: {} }).map(i => i.name), ['default'])
+})
+
+test('instanceConfigs prefers named instances over the peertube block', () => {
+  assert.deepStrictEqual(instanceConfigs(several).map(i => i.name), ['main', 'edu'])
+})
+
+test('instanceConfig returns the config object itself so tokens are saved', () => {
+  const { peertube } = instanceConfig(several, 'edu')
+  assert.strictEqual(peertube, several.instances.edu)
+})
+
+test('instanceConfig needs a name when several instances are configured', () => {
+  assert.strictEqual(instanceConfig(single).name, 'default')
+  assert.throws(() => instanceConfig(several), /main, edu/)
+  assert.throws(() => instanceConfig(several, 'other'), /No instance named other/)
+})
@@ -0,0 +1,170 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+const { downloadInput } = require('../lib/job-translator')
+
+const BODY = Buffer.from('0123456789')
+const retry = { attempts: 3, baseDelayMs: 1, maxDelayMs: 1 }
+
+// Serve the responses in `handlers` in turn, recording each request's headers
+async function serve(t, handlers) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers)
+    req.resume()
+    handlers[requests.length - 1](req, res)
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => {
+    server.closeAllConnections()
+    server.close()
+  })
+  return { url: `http://127.0.0.1:${server.address().port}/file`, requests }
+}
+
+async function tempFile(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ptsn-download-test-'))
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+  return path.join(dir, 'input')
+}
+
+// Announce the whole file but drop the connection after `bytes`
+function cutAfter(bytes, length = BODY.length) {
+  return (req, res) => {
+    res.writeHead(200, { 'Content-Length': length })
+    res.write(BODY.subarray(0, bytes))
+    // Let the client write what it got before the connection drops
+    setTimeout(() => res.destroy(), 50)
+  }
+}
+
+function whole(req, res) {
+  res.writeHead(200, { 'Content-Length': BODY.length })
+  res.end(BODY)
+}
+
+test('downloadInput resumes an interrupted transfer with a Range request', async (t) => {
+  const { url, requests } = await serve(t, [
+    cutAfter(4),
+    (req, res) => {
+      res.writeHead(206, { 'Content-Range': `bytes 4-9/${BODY.length}`, 'Content-Length': 6 })
+      res.end(BODY.subarray(4))
+    }
+  ])
+  const dest = await tempFile(t)
+  const retries = []
+  const result = await downloadInput(url, dest, 'runner', 'job', {
+    retry, probe: false, onRetry: (err, attempt) => retries.push(attempt)
+  })
+
+  assert.strictEqual(result, dest)
+  assert.deepStrictEqual(fs.readFileSync(dest), BODY)
+  assert.strictEqual(requests[0].range, undefined)
+  assert.strictEqual(requests[1].range, 'bytes=4-')
+  assert.deepStrictEqual(retries, [1])
+})
+
+test('downloadInput treats a 416 for the whole file as done', async (t) => {
+  const { url, requests } = await serve(t, [
+    cutAfter(BODY.length, BODY.length + 2),
+    (req, res) => {
+      res.writeHead(416, { 'Content-Range': `bytes */${BODY.length}` })
+      res.end()
+    }
+  ])
+  const dest = await tempFile(t)
+  await downloadInput(url, dest, 'runner', 'job', { retry, probe: false })
+
+  assert.strictEqual(requests[1].range, `bytes=${BODY.length}-`)
+  assert.deepStrictEqual(fs.readFileSync(dest), BODY)
+})
+
+test('downloadInput starts over after a 416 for a different size', async (t) => {
+  const { url, requests } = await serve(t, [
+    cutAfter(4),
+    (req, res) => {
+      res.writeHead(416, { 'Content-Range': 'bytes */20' })
+      res.end()
+    },
+    whole
+  ])
+  const dest = await tempFile(t)
+  await downloadInput(url, dest, 'runner', 'job', { retry, probe: false })
+
+  assert.deepStrictEqual(requests.map(headers => headers.range), [undefined, 'bytes=4-', undefined])
+  assert.deepStrictEqual(fs.readFileSync(dest), BODY)
+})
+
+test('downloadInput starts over when the Content-Range does not match the offset', async (t) => {
+  const { url, requests } = await serve(t, [
+    cutAfter(4),
+    (req, res) => {
+      res.writeHead(206, { 'Content-Range': `bytes 0-9/${BODY.length}`, 'Content-Length': BODY.length })
+      res.end(BODY)
+    },
+    whole
+  ])
+  const dest = await tempFile(t)
+  await downloadInput(url, dest, 'runner', 'job', { retry, probe: false })
+
+  assert.strictEqual(requests.length, 3)
+  assert.strictEqual(requests[2].range, undefined)
+  assert.deepStrictEqual(fs.readFileSync(dest), BODY)
+})
+
+test('downloadInput gives up on a bad Content-Range once retries run out', async (t) => {
+  const { url } = await serve(t, [
+    cutAfter(4),
+    (req, res) => {
+      res.writeHead(206, { 'Content-Range': 'bytes garbage', 'Content-Length': 6 })
+      res.end(BODY.subarray(4))
+    }
+  ])
+  const dest = await tempFile(t)
+  await assert.rejects(
+    downloadInput(url, dest, 'runner', 'job', { retry: { ...retry, attempts: 2 }, probe: false }),
+    (err) => err.transient && err.stage === 'download' && /Content-Range/.test(err.message)
+  )
+  assert.strictEqual(fs.existsSync(dest), false)
+})
+
+test('downloadInput sends validators and resolves null on 304', async (t) => {
+  const { url, requests } = await serve(t, [
+    (req, res) => {
+      res.writeHead(304)
+      res.end()
+    }
+  ])
+  const dest = await tempFile(t)
+  const result = await downloadInput(url, dest, 'runner', 'job', {
+    retry,
+    validators: { etag: '"v1"', lastModified: 'Sat, 17 Oct 2026 10:00:00 GMT' }
+  })
+
+  assert.strictEqual(result, null)
+  assert.strictEqual(requests[0]['if-none-match'], '"v1"')
+  assert.strictEqual(requests[0]['if-modified-since'], 'Sat, 17 Oct 2026 10:00:00 GMT')
+  assert.strictEqual(fs.existsSync(dest), false)
+})
+
+test('downloadInput stops when its signal is aborted', async (t) => {
+  const { url, requests } = await serve(t, [
+    (req, res) => {
+      res.writeHead(200, { 'Content-Length': BODY.length })
+      res.write(BODY.subarray(0, 4))
+    }
+  ])
+  const dest = await tempFile(t)
+  const controller = new AbortController()
+  const download = downloadInput(url, dest, 'runner', 'job', {
+    retry, probe: false, signal: controller.signal,
+    onProgress: () => controller.abort(new Error('cancelled'))
+  })
+
+  await assert.rejects(download, { message: 'cancelled' })
+  assert.strictEqual(requests.length, 1)
+})
@@ -0,0 +1,88 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const JobJournal = require('../lib/journal')
+
+const A = '0b7c3e1a-6f2d-4c59-9a8e-1d2f3a4b5c6d'
+const B = '9e8d7c6b-5a49-4382-b1a0-f9e8d7c6b5a4'
+
+async function tempDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ptsn-journal-test-'))
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+  return dir
+}
+
+function entry(fields = {}) {
+  return {
+    instance: 'default',
+    type: 'vod-web-video-transcoding',
+    payload: { input: { videoFileUrl: 'https://tube.example/file' } },
+    jobToken: 'token',
+    stage: 'encoding',
+    ...fields
+  }
+}
+
+test('jobs and failed UUIDs survive a restart', async (t) => {
+  const dir = await tempDir(t)
+  const journal = new JobJournal(dir)
+  await journal.record(A, entry({ stage: 'accepted' }))
+  await journal.update(A, { stage: 'uploading' })
+  await journal.record(B, entry())
+  await journal.remove(B)
+  await journal.markFailed(B, Date.now() + 60000)
+
+  const reloaded = new JobJournal(dir)
+  await reloaded.load()
+  assert.deepStrictEqual(reloaded.entries().map(([uuid]) => uuid), [A])
+  assert.strictEqual(reloaded.get(A).stage, 'uploading')
+  assert.strictEqual(reloaded.get(A).jobToken, 'token')
+  assert.ok(reloaded.failed.has(B))
+})
+
+test('load drops failed UUIDs whose skip has expired', async (t) => {
+  const dir = await tempDir(t)
+  await fs.promises.writeFile(path.join(dir, 'journal.json'), JSON.stringify({
+    jobs: {},
+    failed: { [A]: Date.now() - 1000, [B]: Date.now() + 60000 }
+  }))
+
+  const journal = new JobJournal(dir)
+  await journal.load()
+  assert.deepStrictEqual([...journal.failed.keys()], [B])
+})
+
+test('load starts empty from a missing or unreadable file', async (t) => {
+  const dir = await tempDir(t)
+  const missing = new JobJournal(dir)
+  await missing.load()
+  assert.strictEqual(missing.entries().length, 0)
+
+  await fs.promises.writeFile(path.join(dir, 'journal.json'), '{ not json')
+  const unreadable = new JobJournal(dir)
+  await unreadable.load()
+  assert.strictEqual(unreadable.entries().length, 0)
+  assert.strictEqual(unreadable.failed.size, 0)
+})
+
+test('update ignores jobs that are not recorded', async (t) => {
+  const journal = new JobJournal(await tempDir(t))
+  await journal.update(A, { stage: 'encoding' })
+  assert.strictEqual(journal.get(A), undefined)
+})
+
+test('canResume resumes supported VOD jobs with their token and payload', () => {
+  assert.strictEqual(JobJournal.canResume(entry()), true)
+  assert.strictEqual(JobJournal.canResume(entry({ type: 'vod-audio-merge-transcoding' })), true)
+})
+
+test('canResume aborts jobs it has nothing to resume from', () => {
+  assert.strictEqual(JobJournal.canResume(entry(), false), false)
+  assert.strictEqual(JobJournal.canResume(entry({ jobToken: undefined })), false)
+  assert.strictEqual(JobJournal.canResume(entry({ payload: undefined })), false)
+  assert.strictEqual(JobJournal.canResume(entry({ type: 'video-transcription' })), false)
+  assert.strictEqual(JobJournal.canResume(entry({ type: 'live-rtmp-hls-transcoding' })), false)
+})
@@ -0,0 +1,52 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { createMultipart, mimeType } = require('../lib/multipart')
+
+async function collect(body) {
+  const chunks = []
+  for await (const chunk of body) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+test('mimeType maps known extensions and defaults to octet-stream', () => {
+  assert.strictEqual(mimeType('a.mp4'), 'video/mp4')
+  assert.strictEqual(mimeType('index.m3u8'), 'application/vnd.apple.mpegurl')
+  assert.strictEqual(mimeType('a.bin'), 'application/octet-stream')
+})
+
+test('createMultipart streams fields and files with an exact length', async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ptsn-multipart-test-'))
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+  const filePath = path.join(dir, 'video.mp4')
+  await fs.promises.writeFile(filePath, Buffer.alloc(100000, 1))
+
+  const progress = []
+  const { headers, body, length } = await createMultipart(
+    { runnerToken: 'abc' },
+    { 'payload[videoFile]': filePath },
+    (sent, total) => progress.push([sent, total])
+  )
+  const data = await collect(body)
+  assert.strictEqual(data.length, length)
+  assert.strictEqual(headers['Content-Length'], String(length))
+
+  // Parse it back the way a server would
+  const form = await new Response(data, { headers: { 'Content-Type': headers['Content-Type'] } }).formData()
+  assert.strictEqual(form.get('runnerToken'), 'abc')
+  const file = form.get('payload[videoFile]')
+  assert.strictEqual(file.name, 'video.mp4')
+  assert.strictEqual(file.type, 'video/mp4')
+  assert.strictEqual(file.size, 100000)
+
+  assert.deepStrictEqual(progress[progress.length - 1], [length, length])
+})
+
+test('createMultipart escapes quotes and newlines in names', async () => {
+  const { body } = await createMultipart({ 'a"b\nc': 'v' }, {})
+  const text = (await collect(body)).toString()
+  assert.ok(text.includes('name="a%22b c"'))
+})
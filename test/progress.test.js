@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const JobProgress = require('../lib/progress')
+
+function tracked(opts) {
+  const calls = { sent: [], updates: [], activity: 0 }
+  const progress = new JobProgress(opts, {
+    send: (percent) => calls.sent.push(percent),
+    onUpdate: (percent) => calls.updates.push(percent),
+    onActivity: () => calls.activity++
+  })
+  return { progress, calls }
+}
+
+test('overall percent is the weighted sum of the planned stages', () => {
+  const { progress, calls } = tracked({ minIntervalMs: 0 })
+  progress.plan(['download', 'encode', 'upload'])
+  progress.complete('download')
+  progress.update('encode', 0.5)
+  // (10 + 65 * 0.5) / 85
+  assert.strictEqual(progress.percent, 50)
+  assert.deepStrictEqual(calls.updates, [11, 50])
+  progress.stop()
+})
+
+test('progress never goes backwards', () => {
+  const { progress, calls } = tracked({ minIntervalMs: 0 })
+  progress.update('encode', 0.5)
+  progress.update('encode', 0.2)
+  assert.strictEqual(progress.fractions.encode, 0.5)
+  assert.strictEqual(calls.updates.length, 1)
+  progress.stop()
+})
+
+test('any forward move counts as activity, even below a whole percent', () => {
+  const { progress, calls } = tracked({ minIntervalMs: 0 })
+  progress.update('encode', 0.001)
+  progress.update('encode', 0.002)
+  progress.update('encode', 0.002)
+  assert.strictEqual(progress.percent, 0)
+  assert.strictEqual(calls.activity, 2)
+  progress.stop()
+})
+
+test('sends are throttled to one per interval with the latest value', async () => {
+  const { progress, calls } = tracked({ minIntervalMs: 50 })
+  progress.update('encode', 0.2)
+  progress.update('encode', 0.4)
+  progress.update('encode', 0.6)
+  assert.strictEqual(calls.sent.length, 1)
+  await new Promise(resolve => setTimeout(resolve, 80))
+  assert.deepStrictEqual(calls.sent, [calls.sent[0], progress.percent])
+  progress.stop()
+})
@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const { withRetry, backoffDelay } = require('../lib/retry')
+const { TransientError, PermanentError } = require('../lib/errors')
+
+test('backoffDelay doubles from the base delay with up to 20% jitter', () => {
+  const policy = { baseDelayMs: 100, maxDelayMs: 10000 }
+  for (const [attempt, delay] of [[1, 100], [2, 200], [3, 400]]) {
+    const actual = backoffDelay(attempt, policy)
+    assert.ok(actual >= delay && actual <= delay * 1.2, `attempt ${attempt}: ${actual}`)
+  }
+})
+
+test('backoffDelay is capped at maxDelayMs', () => {
+  const actual = backoffDelay(20, { baseDelayMs: 100, maxDelayMs: 1000 })
+  assert.ok(actual >= 1000 && actual <= 1200)
+})
+
+test('withRetry retries transient errors until attempts run out', async () => {
+  let calls = 0
+  await assert.rejects(withRetry(() => {
+    calls++
+    throw new TransientError('flaky')
+  }, { attempts: 3, baseDelayMs: 1 }, { stage: 'download' }), (err) => err.stage === 'download')
+  assert.strictEqual(calls, 3)
+})
+
+test('withRetry returns the first success', async () => {
+  let calls = 0
+  const result = await withRetry(() => {
+    if (++calls < 2) throw new TransientError('flaky')
+    return 'done'
+  }, { attempts: 3, baseDelayMs: 1 })
+  assert.strictEqual(result, 'done')
+})
+
+test('withRetry does not retry permanent errors', async () => {
+  let calls = 0
+  await assert.rejects(withRetry(() => {
+    calls++
+    throw new PermanentError('bad input')
+  }, { attempts: 3, baseDelayMs: 1 }), /bad input/)
+  assert.strictEqual(calls, 1)
+})
+
+test('withRetry stops when its signal is aborted during the backoff', async () => {
+  const controller = new AbortController()
+  let calls = 0
+  const started = Date.now()
+  setTimeout(() => controller.abort(new Error('cancelled')), 20)
+  await assert.rejects(withRetry(() => {
+    calls++
+    throw new TransientError('flaky')
+  }, { attempts: 3, baseDelayMs: 60000 }, { signal: controller.signal }), /cancelled/)
+  assert.strictEqual(calls, 1)
+  assert.ok(Date.now() - started < 5000)
+})
@@ -0,0 +1,71 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const { rankKey, rankJobs, allocateWorkers } = require('../lib/scheduler')
+
+function job(id, remaining, key = [0, 0, 0]) {
+  return { id, remaining, key }
+}
+
+function counts(allocation) {
+  const result = {}
+  for (const id of allocation.values()) result[id] = (result[id] || 0) + 1
+  return result
+}
+
+test('rankJobs orders by type, then resolution, keeping PeerTube order for ties', () => {
+  const jobs = [
+    { uuid: 'hls-720', type: 'vod-hls-transcoding', payload: { output: { resolution: 720 } } },
+    { uuid: 'web-1080', type: 'vod-web-video-transcoding', payload: { output: { resolution: 1080 } } },
+    { uuid: 'web-480', type: 'vod-web-video-transcoding', payload: { output: { resolution: 480 } } },
+    { uuid: 'hls-720-b', type: 'vod-hls-transcoding', payload: { output: { resolution: 720 } } },
+    { uuid: 'live', type: 'live-rtmp-hls-transcoding', payload: {} }
+  ]
+  assert.deepStrictEqual(rankJobs(jobs).map(j => j.uuid), ['live', 'web-480', 'web-1080', 'hls-720', 'hls-720-b'])
+})
+
+test('rankKey ignores resolution without preferLowResolution', () => {
+  const a = rankKey({ type: 'vod-hls-transcoding', resolution: 1080 }, { preferLowResolution: false })
+  const b = rankKey({ type: 'vod-hls-transcoding', resolution: 240 }, { preferLowResolution: false })
+  assert.deepStrictEqual(a, b)
+})
+
+test('allocateWorkers spreads new workers to the least-served jobs', () => {
+  const allocation = allocateWorkers(['a', 'b', 'c', 'd'], [job('x', 10, [0]), job('y', 10, [1])])
+  assert.deepStrictEqual(counts(allocation), { x: 2, y: 2 })
+})
+
+test('allocateWorkers caps a job at its remaining segments', () => {
+  const allocation = allocateWorkers(['a', 'b', 'c'], [job('x', 1, [0]), job('y', 10, [1])])
+  assert.deepStrictEqual(counts(allocation), { x: 1, y: 2 })
+})
+
+test('allocateWorkers keeps workers on a job that still needs them', () => {
+  const previous = new Map([['a', 'x'], ['b', 'x'], ['c', 'x']])
+  const allocation = allocateWorkers(['a', 'b', 'c'], [job('x', 10, [1]), job('y', 10, [0])], previous)
+  assert.deepStrictEqual(counts(allocation), { x: 3 })
+})
+
+test('allocateWorkers frees workers a job no longer has segments for', () => {
+  const previous = new Map([['a', 'x'], ['b', 'x'], ['c', 'x']])
+  const allocation = allocateWorkers(['a', 'b', 'c'], [job('x', 1, [0]), job('y', 10, [1])], previous)
+  assert.strictEqual(allocation.get('a'), 'x')
+  assert.deepStrictEqual(counts(allocation), { x: 1, y: 2 })
+})
+
+test('allocateWorkers moves workers off finished jobs', () => {
+  const previous = new Map([['a', 'done'], ['b', 'x']])
+  const allocation = allocateWorkers(['a', 'b'], [job('done', 0), job('x', 5), job('y', 5, [1])], previous)
+  assert.strictEqual(allocation.get('b'), 'x')
+  assert.strictEqual(allocation.get('a'), 'y')
+})
+
+test('allocateWorkers sends leftovers to the best-ranked job', () => {
+  const allocation = allocateWorkers(['a', 'b', 'c'], [job('x', 1, [1]), job('y', 1, [0])])
+  assert.deepStrictEqual(counts(allocation), { x: 1, y: 2 })
+})
+
+test('allocateWorkers assigns nothing without work', () => {
+  assert.strictEqual(allocateWorkers(['a'], [job('x', 0)]).size, 0)
+  assert.strictEqual(allocateWorkers([], [job('x', 3)]).size, 0)
+})
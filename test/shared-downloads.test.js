@@ -0,0 +1,119 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const SharedDownloads = require('../lib/shared-downloads')
+const SourceCache = require('../lib/source-cache')
+
+const A = '0b7c3e1a-6f2d-4c59-9a8e-1d2f3a4b5c6d'
+const B = '9e8d7c6b-5a49-4382-b1a0-f9e8d7c6b5a4'
+const url = (jobUUID) => `https://tube.example/api/v1/runners/jobs/${jobUUID}/files/videos/v1/max-quality`
+
+async function tempDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ptsn-downloads-test-'))
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// A download() that writes `body` once `gate` resolves, counting calls
+function downloader(body = 'video', gate = Promise.resolve()) {
+  const download = async (destPath, onProgress) => {
+    download.calls++
+    await gate
+    if (onProgress) onProgress(body.length, body.length)
+    await fs.promises.writeFile(destPath, body)
+    return destPath
+  }
+  download.calls = 0
+  return download
+}
+
+test('sourceKey strips the job UUID from the URL', () => {
+  assert.strictEqual(SharedDownloads.sourceKey(url(A), A), SharedDownloads.sourceKey(url(B), B))
+})
+
+test('siblings share one download and its progress', async (t) => {
+  const downloads = new SharedDownloads(await tempDir(t))
+  await downloads.start()
+  let open
+  const download = downloader('video', new Promise(resolve => { open = resolve }))
+  const progress = []
+
+  const first = downloads.acquire(A, url(A), download)
+  const second = downloads.acquire(B, url(B), download, (received) => progress.push(received))
+  open()
+  const [a, b] = await Promise.all([first, second])
+
+  assert.strictEqual(a, b)
+  assert.strictEqual(download.calls, 1)
+  assert.deepStrictEqual(progress, [5])
+})
+
+test('the file is deleted once the last holder releases it', async (t) => {
+  const downloads = new SharedDownloads(await tempDir(t))
+  await downloads.start()
+  const download = downloader()
+
+  const filePath = await downloads.acquire(A, url(A), download)
+  await downloads.acquire(B, url(B), download)
+  await downloads.release(A)
+  assert.ok(fs.existsSync(filePath))
+  await downloads.release(B)
+  assert.ok(!fs.existsSync(filePath))
+})
+
+test('without sharing every job downloads its own copy', async (t) => {
+  const downloads = new SharedDownloads(await tempDir(t), { share: false })
+  await downloads.start()
+  const download = downloader()
+
+  const a = await downloads.acquire(A, url(A), download)
+  const b = await downloads.acquire(B, url(B), download)
+  assert.notStrictEqual(a, b)
+  assert.strictEqual(download.calls, 2)
+  await downloads.release(A)
+  assert.ok(!fs.existsSync(a))
+  assert.ok(fs.existsSync(b))
+})
+
+test('a sibling downloads the file itself when the shared download fails', async (t) => {
+  const downloads = new SharedDownloads(await tempDir(t))
+  await downloads.start()
+  let fail
+  const failing = async () => {
+    await new Promise((resolve, reject) => { fail = reject })
+  }
+  const download = downloader()
+
+  const first = downloads.acquire(A, url(A), failing)
+  const second = downloads.acquire(B, url(B), download)
+  fail(new Error('connection reset'))
+
+  await assert.rejects(first, /connection reset/)
+  const filePath = await second
+  assert.strictEqual(download.calls, 1)
+  assert.strictEqual(await fs.promises.readFile(filePath, 'utf8'), 'video')
+})
+
+test('with a cache, released files stay cached and unpinned', async (t) => {
+  const dir = await tempDir(t)
+  const cache = new SourceCache(path.join(dir, 'cache'))
+  await cache.load()
+  const downloads = new SharedDownloads(path.join(dir, 'downloads'), { cache })
+  await downloads.start()
+  const download = async (destPath, onProgress, { onHeaders }) => {
+    onHeaders(new Headers({ etag: '"1"' }))
+    await fs.promises.writeFile(destPath, 'video')
+    return destPath
+  }
+
+  const filePath = await downloads.acquire(A, url(A), download)
+  assert.ok(cache.hashOf(filePath))
+  assert.deepStrictEqual(cache.list().map(f => f.pinned), [true])
+
+  await downloads.release(A)
+  assert.ok(fs.existsSync(filePath))
+  assert.deepStrictEqual(cache.list().map(f => f.pinned), [false])
+})
@@ -0,0 +1,98 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const SourceCache = require('../lib/source-cache')
+
+async function tempCache() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ptsn-cache-test-'))
+  const cache = new SourceCache(dir)
+  await cache.load()
+  return { dir, cache }
+}
+
+// A download() that serves `body` with `etag`, answering 304 when asked
+// with a matching validator
+function server(body, etag, calls = []) {
+  return async (tmpPath, onProgress, { validators, onHeaders }) => {
+    calls.push(validators)
+    if (validators && validators.etag === etag) return null
+    onHeaders(new Headers({ etag, 'content-length': String(body.length) }))
+    await fs.promises.writeFile(tmpPath, body)
+    return tmpPath
+  }
+}
+
+test('fetch stores a download by hash and pins it', async (t) => {
+  const { dir, cache } = await tempCache()
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+
+  const { filePath, hash } = await cache.fetch('src', path.join(dir, 'tmp'), server('abc', '"1"'))
+  assert.strictEqual(await fs.promises.readFile(filePath, 'utf8'), 'abc')
+  assert.strictEqual(cache.hashOf(filePath), hash)
+  assert.deepStrictEqual(cache.list().map(f => f.pinned), [true])
+})
+
+test('fetch sends the stored validators and uses the cached file on 304', async (t) => {
+  const { dir, cache } = await tempCache()
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+
+  const calls = []
+  const download = server('abc', '"1"', calls)
+  const first = await cache.fetch('src', path.join(dir, 'tmp'), download)
+  const second = await cache.fetch('src', path.join(dir, 'tmp'), download)
+  assert.deepStrictEqual(calls, [null, { etag: '"1"', lastModified: null }])
+  assert.strictEqual(second.hash, first.hash)
+
+  await cache.unpin(first.hash)
+  assert.deepStrictEqual(cache.list().map(f => f.pinned), [true])
+  await cache.unpin(second.hash)
+  assert.deepStrictEqual(cache.list().map(f => f.pinned), [false])
+})
+
+test('the cached copy is pinned while a conditional request is out', async (t) => {
+  const { dir, cache } = await tempCache()
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+
+  const { hash } = await cache.fetch('src', path.join(dir, 'tmp'), server('abc', '"1"'))
+  await cache.unpin(hash)
+
+  await cache.fetch('src', path.join(dir, 'tmp'), async () => {
+    await cache.remove(hash)
+    return null
+  })
+  assert.ok(fs.existsSync(cache.filePath(hash)))
+})
+
+test('a changed source replaces the URL entry and releases the old pin', async (t) => {
+  const { dir, cache } = await tempCache()
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+
+  const old = await cache.fetch('src', path.join(dir, 'tmp'), server('abc', '"1"'))
+  await cache.unpin(old.hash)
+  const changed = await cache.fetch('src', path.join(dir, 'tmp'), server('abcd', '"2"'))
+  assert.notStrictEqual(changed.hash, old.hash)
+
+  const pinned = Object.fromEntries(cache.list().map(f => [f.hash, f.pinned]))
+  assert.deepStrictEqual(pinned, { [old.hash]: false, [changed.hash]: true })
+
+  await cache.remove(old.hash)
+  assert.strictEqual(cache.list().length, 1)
+  await cache.remove(changed.hash)
+  assert.strictEqual(cache.list().length, 1)
+})
+
+test('load drops files the index does not know', async (t) => {
+  const { dir, cache } = await tempCache()
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }))
+
+  const { hash } = await cache.fetch('src', path.join(dir, 'tmp'), server('abc', '"1"'))
+  await fs.promises.writeFile(path.join(dir, 'stray'), 'x')
+
+  const reloaded = new SourceCache(dir)
+  await reloaded.load()
+  assert.deepStrictEqual(reloaded.list().map(f => f.hash), [hash])
+  assert.ok(!fs.existsSync(path.join(dir, 'stray')))
+})
@@ -0,0 +1,20 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+const { storageOptions } = require('../lib/storage')
+
+test('storageOptions accepts a bare path', () => {
+  assert.deepStrictEqual(storageOptions({ storage: '/data' }), {
+    path: '/data', cache: false, maxBytes: Infinity, maxAgeMs: 86400000
+  })
+})
+
+test('storageOptions keeps the cache off unless enabled', () => {
+  assert.strictEqual(storageOptions({}).cache, false)
+  assert.strictEqual(storageOptions({ storage: { maxBytes: 1000 } }).cache, false)
+  assert.strictEqual(storageOptions({ storage: { cache: true, maxBytes: 1000 } }).cache, true)
+})
+
+test('storageOptions refuses a cache without a size budget', () => {
+  assert.throws(() => storageOptions({ storage: { cache: true } }), /maxBytes/)
+})
@@ -0,0 +1,76 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { EventEmitter } = require('events')
+
+const WorkerAgent = require('../lib/worker-agent')
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function fakeBridge(agent) {
+  const conn = new EventEmitter()
+  conn.written = []
+  conn.write = (data) => conn.written.push(JSON.parse(data))
+  agent._onConnection(conn, { publicKey: Buffer.alloc(32, 1) })
+  conn.send = (msg) => conn.emit('data', Buffer.from(JSON.stringify(msg) + '\n'))
+  return conn
+}
+
+function exited(child) {
+  return new Promise(resolve => child.once('exit', resolve))
+}
+
+test('WorkerAgent says hello and runs one worker per slot on each pool it is sent', async () => {
+  const agent = new WorkerAgent({}, {
+    slots: 2,
+    command: [process.execPath, '-e', 'setTimeout(() => {}, 60000)']
+  })
+  const conn = fakeBridge(agent)
+  assert.deepStrictEqual(conn.written, [{ type: 'hello', slots: 2 }])
+
+  conn.send({ type: 'jobs', poolKeys: ['aa', 'bb'] })
+  assert.deepStrictEqual([...agent.running.keys()], ['aa', 'bb'])
+  assert.strictEqual(agent.running.get('aa').length, 2)
+
+  // Withdrawn pools are left, the rest keep their workers
+  const children = agent.running.get('aa').map(worker => worker.child)
+  const kept = agent.running.get('bb')
+  conn.send({ type: 'jobs', poolKeys: ['bb'] })
+  await Promise.all(children.map(exited))
+  assert.deepStrictEqual([...agent.running.keys()], ['bb'])
+  assert.strictEqual(agent.running.get('bb'), kept)
+
+  const last = kept.map(worker => worker.child)
+  conn.emit('close')
+  await Promise.all(last.map(exited))
+  assert.strictEqual(agent.running.size, 0)
+})
+
+test('WorkerAgent restarts a worker that exits while its pool is wanted', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ptsn-agent-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const log = path.join(dir, 'runs')
+  const agent = new WorkerAgent({}, {
+    restartDelayMs: 20,
+    command: [process.execPath, '-e', `require('fs').appendFileSync(${JSON.stringify(log)}, process.argv[1] + '\\n')`]
+  })
+  const conn = fakeBridge(agent)
+  conn.send({ type: 'jobs', poolKeys: ['cc'] })
+
+  for (let i = 0; i < 100 && !(fs.existsSync(log) && fs.readFileSync(log, 'utf8').split('\n').length > 2); i++) {
+    await sleep(50)
+  }
+  await agent.stop()
+  const runs = fs.readFileSync(log, 'utf8').trim().split('\n')
+  assert.ok(runs.length >= 2, `expected a restart, got ${runs.length} run(s)`)
+  assert.ok(runs.every(key => key === 'cc'))
+})
+
+test('WorkerAgent ignores malformed and unknown messages', () => {
+  const agent = new WorkerAgent({}, { command: ['true'] })
+  const conn = fakeBridge(agent)
+  conn.emit('data', Buffer.from('not json\n{"type":"other"}\n'))
+  assert.strictEqual(agent.running.size, 0)
+})
@@ -0,0 +1,71 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const WorkerRegistry = require('../lib/worker-registry')
+
+async function tempRegistry(t, opts) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ptsn-registry-test-'))
+  const registry = new WorkerRegistry(dir, opts)
+  t.after(async () => {
+    clearTimeout(registry.persistTimer)
+    await fs.promises.rm(dir, { recursive: true, force: true })
+  })
+  return registry
+}
+
+test('completed segments are split between the workers on the job swarm', async (t) => {
+  const registry = await tempRegistry(t)
+  registry.connected('a', 'job1')
+  registry.connected('b', 'job1')
+  registry.connected('b', 'job1')
+  registry.credit('job1', 3)
+  registry.credit('job2', 5)
+
+  const workers = Object.fromEntries(registry.list().map(w => [w.publicKey, w]))
+  assert.strictEqual(workers.a.segments, 1.5)
+  assert.strictEqual(workers.b.segments, 1.5)
+  assert.strictEqual(workers.b.jobs, 1)
+})
+
+test('a worker stays connected until its last connection closes', async (t) => {
+  const registry = await tempRegistry(t)
+  registry.connected('a', 'job1')
+  registry.connected('a', 'job1')
+  registry.disconnected('a', 'job1')
+  assert.ok(registry.sessions.get('job1').has('a'))
+  registry.disconnected('a', 'job1')
+  assert.ok(!registry.sessions.has('job1'))
+})
+
+test('endJob closes the sessions still open and adds their time', async (t) => {
+  const registry = await tempRegistry(t)
+  registry.connected('a', 'job1')
+  registry.sessions.get('job1').get('a').since -= 4000
+  registry.credit('job1', 2)
+  registry.endJob('job1')
+
+  const [worker] = registry.list()
+  assert.ok(worker.connectedMs >= 4000)
+  assert.ok(worker.msPerSegment >= 2000)
+  registry.credit('job1', 1)
+  assert.strictEqual(registry.list()[0].segments, 2)
+})
+
+test('writes are batched and flush() writes what is pending', async (t) => {
+  const registry = await tempRegistry(t, { persistDelayMs: 60000 })
+  registry.seen('a')
+  registry.connected('b', 'job1')
+  assert.ok(!fs.existsSync(registry.filePath))
+
+  await registry.flush()
+  const saved = JSON.parse(await fs.promises.readFile(registry.filePath, 'utf8'))
+  assert.deepStrictEqual(Object.keys(saved.workers).sort(), ['a', 'b'])
+  assert.strictEqual(registry.persistTimer, null)
+
+  const reloaded = new WorkerRegistry(path.dirname(registry.filePath))
+  await reloaded.load()
+  assert.strictEqual(reloaded.list().length, 2)
+})